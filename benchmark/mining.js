@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * Compares the ways of trying nonces: setting each one and calling
+ * validProofOfWork, and BlockHeader#findNonce, which only rewrites the nonce
+ * bytes of the serialized header.
+ *
+ *   node benchmark/mining.js [nonces]
+ */
+
+var bitcore = require('..');
+var BlockHeader = bitcore.BlockHeader;
+
+var NONCES = parseInt(process.argv[2], 10) || 100000;
+
+// a target that no hash in the benchmark reaches, so every nonce is tried
+var header = new BlockHeader(bitcore.Block.genesis.header.toObject());
+header.bits = 0x1800ffff;
+
+var measure = function(name, fn) {
+  var started = process.hrtime();
+  fn();
+  var elapsed = process.hrtime(started);
+  var seconds = elapsed[0] + elapsed[1] / 1e9;
+  var hashrate = NONCES / seconds;
+  console.log(name + ': ' + Math.round(hashrate) + ' hashes/s');
+  return hashrate;
+};
+
+console.log('Trying ' + NONCES + ' nonces');
+
+var slow = measure('validProofOfWork', function() {
+  for (var nonce = 0; nonce < NONCES; nonce++) {
+    header.setNonce(nonce);
+    header.validProofOfWork();
+  }
+});
+
+var fast = measure('findNonce', function() {
+  header.findNonce(0, NONCES - 1);
+});
+
+console.log('Speedup: ' + (fast / slow).toFixed(2) + 'x');
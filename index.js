@@ -25,17 +25,34 @@ core.encoding.Varint = require('./lib/encoding/varint');
 // utilities
 core.util = {};
 core.util.buffer = require('./lib/util/buffer');
+core.util.clock = require('./lib/util/clock');
 core.util.js = require('./lib/util/js');
 core.util.preconditions = require('./lib/util/preconditions');
 
 // errors thrown by the library
 core.errors = require('./lib/errors');
 
+// storage
+core.store = {};
+core.store.BlockStore = require('./lib/store/block');
+core.store.TransactionStore = require('./lib/store/transaction');
+core.store.UndoStore = require('./lib/store/undo');
+core.store.MemoryStorage = require('./lib/store/memory');
+core.store.FilesystemStorage = require('./lib/store/filesystem');
+
+// land map
+core.map = {};
+core.map.Frontier = require('./lib/map/frontier');
+core.map.Renderer = require('./lib/map/renderer');
+core.map.TileGrid = require('./lib/map/tilegrid');
+
 // main bitcoin library
 core.Block = require('./lib/block');
 core.Blockchain = require('./lib/blockchain');
 core.BlockHeader = require('./lib/block/blockheader');
+core.Mempool = require('./lib/mempool');
 core.Miner = require('./lib/block/miner');
+core.MiningCoordinator = require('./lib/block/coordinator');
 core.HDPrivateKey = require('./lib/hdprivatekey.js');
 core.HDPublicKey = require('./lib/hdpublickey.js');
 core.Networks = require('./lib/networks');
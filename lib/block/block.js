@@ -146,14 +146,20 @@ Block.fromString = function fromString(str) {
   return Block.fromBuffer(buf);
 };
 
-Block.fromCoinbase = function(coinbase, header) {
+/**
+ * @param {Transaction} coinbase - The first transaction of the block
+ * @param {Object} header - The header data, see BlockHeader.create
+ * @param {Function=} clock - Used to set the time if the header doesn't have one
+ * @returns {Block} - A new block with only the coinbase transaction
+ */
+Block.fromCoinbase = function(coinbase, header, clock) {
   $.checkArgument(coinbase instanceof Transaction, 'coinbase must be a Transaction');
   $.checkArgument(coinbase.isCoinbase(), 'coinbase must be a coinbase Transaction');
   $.checkArgument(_.isNumber(header.height), 'header.height is a required number');
   $.checkArgument(!_.isUndefined(header.prevHash), 'header.prevHash is required');
   var o = {};
   o.transactions = [coinbase.toObject()];
-  o.header = BlockHeader.create(header);
+  o.header = BlockHeader.create(header, clock);
   var ret = new Block(o);
   return ret;
 };
@@ -5,10 +5,14 @@ var BN = require('../crypto/bn');
 var BufferUtil = require('../util/buffer');
 var BufferReader = require('../encoding/bufferreader');
 var BufferWriter = require('../encoding/bufferwriter');
+var Clock = require('../util/clock');
 var Hash = require('../crypto/hash');
 var JSUtil = require('../util/js');
 var $ = require('../util/preconditions');
 
+// the nonce is the last field of the serialized header
+var NONCE_OFFSET = 80;
+
 /**
  * Instantiate a BlockHeader from a Buffer, JSON object, or Object with
  * the properties of the BlockHeader
@@ -86,10 +90,30 @@ BlockHeader._fromObject = function _fromObject(data) {
 
 
 BlockHeader.prototype.increaseNonce = function() {
+  $.checkState(this.nonce < BlockHeader.Constants.MAX_NONCE, 'The nonce can not be increased past MAX_NONCE');
   this._id = null;
   this.nonce += 1;
 };
 
+/**
+ * @param {number} nonce
+ */
+BlockHeader.prototype.setNonce = function(nonce) {
+  $.checkArgument(nonce >= 0 && nonce <= BlockHeader.Constants.MAX_NONCE, 'nonce must be a 32 bit unsigned integer');
+  this._id = null;
+  this.nonce = nonce;
+};
+
+/**
+ * @param {number} time - in seconds since the epoch
+ */
+BlockHeader.prototype.setTime = function(time) {
+  $.checkArgument(time >= 0 && time <= 0xffffffff, 'time must be a 32 bit unsigned integer');
+  this._id = null;
+  this.time = time;
+  this.timestamp = time;
+};
+
 /**
  * @param {String} - A JSON string or object
  * @returns {BlockHeader} - An instance of block header
@@ -127,11 +151,17 @@ BlockHeader.fromString = function fromString(str) {
 };
 
 
-BlockHeader.create = function(data) {
+/**
+ * @param {Object} data - height and prevHash are required
+ * @param {Function=} clock - used to get the time if data.time is not set
+ * @returns {BlockHeader} - A new block header with the current version
+ */
+BlockHeader.create = function(data, clock) {
   $.checkArgument(!_.isUndefined(data), 'data is required');
   $.checkArgument(!_.isUndefined(data.height), 'data.height is required');
   $.checkArgument(!_.isUndefined(data.prevHash), 'data.prevHash is required');
-  data.time = data.time || Math.floor(new Date().getTime() / 1000);
+  clock = clock || Clock.system;
+  data.time = data.time || clock();
   data.nonce = data.nonce || 0;
   data.bits = data.bits || BlockHeader.Constants.DEFAULT_BITS;
   return new BlockHeader({
@@ -285,10 +315,19 @@ Object.defineProperty(BlockHeader.prototype, 'id', idProperty);
 Object.defineProperty(BlockHeader.prototype, 'hash', idProperty);
 
 /**
+ * @returns {Boolean} - If the version is one this implementation knows about
+ */
+BlockHeader.prototype.validVersion = function validVersion() {
+  return this.version >= 1 && this.version <= BlockHeader.Constants.CURRENT_VERSION;
+};
+
+/**
+ * @param {Function=} clock - the source of the current time, defaults to the system clock
  * @returns {Boolean} - If timestamp is not too far in the future
  */
-BlockHeader.prototype.validTimestamp = function validTimestamp() {
-  var currentTime = Math.round(new Date().getTime() / 1000);
+BlockHeader.prototype.validTimestamp = function validTimestamp(clock) {
+  clock = _.isFunction(clock) ? clock : Clock.system;
+  var currentTime = clock();
   if (this.time > currentTime + BlockHeader.Constants.MAX_TIME_OFFSET) {
     return false;
   }
@@ -308,6 +347,57 @@ BlockHeader.prototype.validProofOfWork = function validProofOfWork() {
   return true;
 };
 
+/**
+ * @param {number} bits
+ * @returns {Buffer} - The target difficulty as 32 big endian bytes
+ */
+BlockHeader.getTargetBuffer = function getTargetBuffer(bits) {
+  var target = BlockHeader.getTargetDifficulty(bits);
+  if (target.cmp(BlockHeader.Constants.LARGEST_HASH) >= 0) {
+    var largest = new Buffer(32);
+    largest.fill(0xff);
+    return largest;
+  }
+  return target.toBuffer({
+    size: 32
+  });
+};
+
+// compares a little endian hash with a big endian target
+var isHashBelowTarget = function(hash, target) {
+  for (var i = 0; i < 32; i++) {
+    if (hash[31 - i] !== target[i]) {
+      return hash[31 - i] < target[i];
+    }
+  }
+  return true;
+};
+
+/**
+ * Looks for a nonce that satisfies the proof of work. Unlike setting each
+ * nonce and calling validProofOfWork, the header is serialized only once and
+ * just the bytes of the nonce are rewritten for each try, and the hashes are
+ * compared with the target as buffers.
+ *
+ * @param {number} start - the first nonce to try
+ * @param {number} end - the last nonce to try
+ * @returns {number|null} - The first nonce in the range that satisfies the
+ *   proof of work, the header itself is not changed
+ */
+BlockHeader.prototype.findNonce = function findNonce(start, end) {
+  $.checkArgument(start >= 0 && start <= end && end <= BlockHeader.Constants.MAX_NONCE,
+    'The nonces must go from the lowest to the highest, up to MAX_NONCE');
+  var buffer = this.toBuffer();
+  var target = BlockHeader.getTargetBuffer(this.bits);
+  for (var nonce = start; nonce <= end; nonce++) {
+    buffer.writeUInt32LE(nonce, NONCE_OFFSET);
+    if (isHashBelowTarget(Hash.sha256sha256(buffer), target)) {
+      return nonce;
+    }
+  }
+  return null;
+};
+
 /**
  * @returns {string} - A string formated for the console
  */
@@ -320,6 +410,7 @@ BlockHeader.Constants = {
   DEFAULT_BITS: 0x207fffff, // target 7fffff0000000000000000000000000000000000000000000000000000000000
   START_OF_HEADER: 8, // Start buffer position in raw block data
   MAX_TIME_OFFSET: 2 * 60 * 60, // The max a timestamp can be in the future
+  MAX_NONCE: 0xffffffff,
   LARGEST_HASH: new BN('10000000000000000000000000000000000000000000000000000000000000000', 'hex')
 };
 
@@ -0,0 +1,210 @@
+'use strict';
+
+var Promise = require('bluebird');
+var childProcess = require('child_process');
+var os = require('os');
+var path = require('path');
+var util = require('util');
+var _ = require('lodash');
+
+var $ = require('../util/preconditions');
+var errors = require('../errors');
+var BlockHeader = require('./blockheader');
+var Miner = require('./miner');
+
+var WORKER = path.join(__dirname, 'worker.js');
+
+var MAX_NONCE = BlockHeader.Constants.MAX_NONCE;
+
+/**
+ * Mines with several child processes. Each one tries a slice of the nonces of
+ * the same template; when one of them finds a block, the others are stopped.
+ * The template is built as in Miner (and takes the same options), and when it
+ * changes (a new tip, a new coinbase or a change in the mempool) the workers
+ * start over with the new one.
+ *
+ * When every worker has tried its slice, the time of the template moves
+ * forward as in Miner, and the workers start over.
+ *
+ * The worker processes are created the first time it starts, and they are
+ * kept until `close` is called. If one of them exits or fails while mining,
+ * the others are stopped and the promise returned by `start` is rejected; the
+ * next `start` creates the missing workers again.
+ *
+ * Options, besides the ones of Miner:
+ *  - workers (optional): how many processes to use, defaults to the number of
+ *    CPUs
+ *
+ * Events:
+ *  - block: new valid block was found
+ *  - exhausted: see Miner
+ *
+ * @constructor
+ */
+function MiningCoordinator(opts) {
+  $.checkArgument(opts, 'opts is required');
+  this.workerCount = opts.workers || os.cpus().length;
+  $.checkArgument(this.workerCount >= 1, 'opts.workers must be positive');
+  this.workers = [];
+  this.job = 0;
+  Miner.call(this, opts);
+}
+util.inherits(MiningCoordinator, Miner);
+
+MiningCoordinator.prototype._updateTemplate = function() {
+  Miner.prototype._updateTemplate.call(this);
+  if (this.running) {
+    this._dispatch();
+  }
+};
+
+MiningCoordinator.prototype._spawnWorkers = function() {
+  while (this.workers.length < this.workerCount) {
+    this._spawnWorker();
+  }
+};
+
+MiningCoordinator.prototype._spawnWorker = function() {
+  var self = this;
+  var worker = childProcess.fork(WORKER);
+  worker.on('message', this._onMessage.bind(this));
+  worker.on('exit', function(code, signal) {
+    self._onWorkerFailure(worker, new errors.Miner.WorkerExited(worker.pid, code === null ? signal : code));
+  });
+  worker.on('error', function(error) {
+    self._onWorkerFailure(worker, new errors.Miner.WorkerError(worker.pid, error.message));
+  });
+  this.workers.push(worker);
+};
+
+// the worker is discarded, and its slice of the nonces would be left unmined
+MiningCoordinator.prototype._onWorkerFailure = function(worker, error) {
+  if (!_.contains(this.workers, worker)) {
+    return;
+  }
+  this.workers = _.without(this.workers, worker);
+  worker.kill();
+  if (this.running) {
+    this._finish(null, error);
+  }
+};
+
+// gives each worker its slice of the nonces of the current template
+MiningCoordinator.prototype._dispatch = function() {
+  this.job += 1;
+  this.exhaustedWorkers = 0;
+  var header = this.template.header.toString();
+  var slice = Math.floor((MAX_NONCE + 1) / this.workers.length);
+  var self = this;
+  _.each(this.workers, function(worker, i) {
+    worker.send({
+      type: 'work',
+      job: self.job,
+      header: header,
+      start: i * slice,
+      end: i === self.workers.length - 1 ? MAX_NONCE : (i + 1) * slice - 1
+    });
+  });
+};
+
+MiningCoordinator.prototype._stopWorkers = function() {
+  _.each(this.workers, function(worker) {
+    if (worker.connected) {
+      worker.send({
+        type: 'stop'
+      });
+    }
+  });
+};
+
+MiningCoordinator.prototype._finish = function(block, error) {
+  this.running = false;
+  this._stopWorkers();
+  var resolve = this._resolve;
+  var reject = this._reject;
+  this._resolve = this._reject = null;
+  if (error) {
+    return reject && reject(error);
+  }
+  if (block) {
+    this.emit('block', block);
+  }
+  if (resolve) {
+    resolve(block);
+  }
+};
+
+MiningCoordinator.prototype._onMessage = function(message) {
+  if (!this.running || message.job !== this.job) {
+    return;
+  }
+  if (message.type === 'found') {
+    this._onFound(message.nonce);
+  } else if (message.type === 'exhausted') {
+    this._onExhausted();
+  }
+};
+
+// the result of a worker is checked before it's reported as a block
+MiningCoordinator.prototype._onFound = function(nonce) {
+  this.template.header.setNonce(nonce);
+  if (!this.template.header.validProofOfWork()) {
+    return this._finish(null, new errors.Miner.InvalidNonce(nonce));
+  }
+  this._finish(this.template);
+};
+
+MiningCoordinator.prototype._onExhausted = function() {
+  this.exhaustedWorkers += 1;
+  if (this.exhaustedWorkers === this.workers.length && this._rollTime()) {
+    this._dispatch();
+  }
+};
+
+/**
+ * Starts the workers on the current template
+ *
+ * @return {Promise} the block found, or undefined if it was stopped or every
+ *   nonce was tried (see the `exhausted` event). It's rejected if a worker
+ *   exits, fails or reports a nonce that is not valid.
+ */
+MiningCoordinator.prototype.start = function() {
+  $.checkState(this.template, 'A new coinbase is required, see updateCoinbase');
+  var self = this;
+  if (this._resolve) {
+    this._resolve();
+  }
+  this._spawnWorkers();
+  this.running = true;
+  return new Promise(function(resolve, reject) {
+    self._resolve = resolve;
+    self._reject = reject;
+    self._dispatch();
+  });
+};
+
+/**
+ * Mining always happens in the worker processes, see start
+ */
+MiningCoordinator.prototype.run = function() {
+  return this.start();
+};
+
+MiningCoordinator.prototype.stop = function() {
+  if (this.running) {
+    this._finish();
+  }
+};
+
+/**
+ * Stops mining and ends the worker processes
+ */
+MiningCoordinator.prototype.close = function() {
+  Miner.prototype.close.call(this);
+  _.each(this.workers, function(worker) {
+    worker.kill();
+  });
+  this.workers = [];
+};
+
+module.exports = MiningCoordinator;
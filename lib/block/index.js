@@ -1,3 +1,5 @@
 module.exports = require('./block');
 
 module.exports.BlockHeader = require('./blockheader');
+module.exports.BlockTemplate = require('./template');
+module.exports.BlockUndo = require('./undo');
@@ -1,22 +1,83 @@
 'use strict';
 
+var Promise = require('bluebird');
 var Transaction = require('../transaction');
-var Block = require('./block');
+var BlockHeader = require('./blockheader');
+var BlockTemplate = require('./template');
+var Frontier = require('../map/frontier');
+var Clock = require('../util/clock');
 var $ = require('../util/preconditions');
 var EventEmitter = require('events').EventEmitter;
 var util = require('util');
 var _ = require('lodash');
 
+// hashes tried by `start` before yielding to the event loop
+var BATCH_SIZE = 1000;
+
+// milliseconds between `progress` events
+var PROGRESS_INTERVAL = 1000;
+
+var posToString = function(pos) {
+  return pos.x + '_' + pos.y;
+};
 
 /**
  * block mining utility
  *
+ * Options:
+ *  - coinbase: the coinbase transaction of the block being mined
+ *  - claim (instead of coinbase): the `owner` (a PublicKey or string) and
+ *    `color` of the coinbase, whose position is picked from the frontier of
+ *    the blockchain (see Blockchain#getFrontier) by `strategy`, one of the
+ *    functions of map/Frontier or any function that takes the frontier and
+ *    returns a position. It defaults to the one nearest to the origin. A new
+ *    position is picked every time the miner gets a new tip, so the
+ *    blockchain must be at the tip the miner mines on.
+ *  - previous: the block to mine on top of
+ *  - blockchain (optional): used to get the bits required for the next block
+ *    and the earliest time it can have
+ *  - clock (optional): the source of the current time, defaults to the clock
+ *    of the blockchain or the system clock
+ *  - mempool (optional): the block includes as many of its transactions as
+ *    fit in Block.MAX_BLOCK_SIZE (or maxBlockSize), and it's rebuilt when the
+ *    pool changes or the blockchain of the pool gets a new tip. If the pixel
+ *    of the coinbase is mined in the new tip (and it's not picked with
+ *    `claim`), the miner stops until `updateCoinbase` gives it a new one.
+ *  - maxBlockSize (optional): in bytes, defaults to Block.MAX_BLOCK_SIZE
+ *  - batchSize (optional): hashes tried by `start` between yields to the
+ *    event loop, defaults to BATCH_SIZE
+ *  - progressInterval (optional): milliseconds between `progress` events,
+ *    defaults to PROGRESS_INTERVAL
+ *
  * Events:
  *  - block: new valid block was found! :)
+ *  - progress: while mining with `start`, an object with the number of
+ *    `hashes` tried since it started and the `hashrate` (hashes per second)
+ *  - exhausted: every nonce was tried for every time up to MAX_TIME_OFFSET
+ *    ahead of the clock, the miner stops with the template it was mining
+ *  - coinbase:required: following a mempool, the pixel of the coinbase was
+ *    mined in the new tip (the block)
  */
 var Miner = function(opts) {
   $.checkArgument(opts, 'opts is required');
-  this.updateCoinbase(opts.coinbase);
+  this.blockchain = opts.blockchain;
+  this.clock = opts.clock || (this.blockchain && this.blockchain.clock) || Clock.system;
+  this.mempool = opts.mempool;
+  this.maxBlockSize = opts.maxBlockSize;
+  this.batchSize = opts.batchSize || BATCH_SIZE;
+  this.progressInterval = _.isUndefined(opts.progressInterval) ? PROGRESS_INTERVAL : opts.progressInterval;
+  this.runs = 0;
+  // nonces tried by work, in total
+  this.hashes = 0;
+  if (opts.claim) {
+    $.checkArgument(opts.claim.owner, 'opts.claim.owner is required');
+    $.checkArgument(this.blockchain, 'opts.blockchain is required to claim a position of the frontier');
+    this.claim = _.defaults({}, opts.claim, {
+      strategy: Frontier.nearest({x: 0, y: 0})
+    });
+  } else {
+    this.updateCoinbase(opts.coinbase);
+  }
   this.updatePrevious(opts.previous);
 
   // for testing
@@ -25,20 +86,80 @@ var Miner = function(opts) {
   this.nonce = opts.nonce;
   this._updateTemplate();
 
+  if (this.mempool) {
+    this._followMempool();
+  }
 };
 util.inherits(Miner, EventEmitter);
 
+Miner.BATCH_SIZE = BATCH_SIZE;
+Miner.PROGRESS_INTERVAL = PROGRESS_INTERVAL;
+
+Miner.prototype._followMempool = function() {
+  var self = this;
+  var refresh = function() {
+    if (self.coinbase) {
+      self._updateTemplate();
+    }
+  };
+  this._subscriptions = [
+    [this.mempool, 'transaction', refresh],
+    [this.mempool, 'evicted', refresh],
+    [this.mempool.blockchain, 'tip', this._onTip.bind(this)]
+  ];
+  _.each(this._subscriptions, function(listener) {
+    listener[0].on(listener[1], listener[2]);
+  });
+};
+
+Miner.prototype._onTip = function(block) {
+  var pixels = this.mempool.blockchain.pixels;
+  var pos = this.coinbase && this.coinbase.position;
+  if (this.claim || !pos || !pixels[posToString(pos)]) {
+    return this.newTip(block);
+  }
+  // the coinbase can't be mined anymore
+  this.stop();
+  this.previous = block;
+  this.coinbase = null;
+  this.template = null;
+  this.emit('coinbase:required', block);
+};
+
+// stop following the mempool and its blockchain
+Miner.prototype.close = function() {
+  this.stop();
+  _.each(this._subscriptions, function(listener) {
+    listener[0].removeListener(listener[1], listener[2]);
+  });
+  this._subscriptions = [];
+};
+
 Miner.prototype._updateTemplate = function() {
   $.checkState(this.previous, 'previous must be set');
   $.checkState(this.coinbase, 'coinbase must be set');
+  var bits = this.bits;
+  if (!bits && this.blockchain) {
+    bits = this.blockchain.getNextRequiredBits(this.previous.id);
+  }
+  var time = this.time;
+  if (!time) {
+    time = this.clock();
+    if (this.blockchain) {
+      time = Math.max(time, this.blockchain.getMedianTimePast(this.previous.id) + 1);
+    }
+  }
   var header = {
     height: this.previous.header.height + 1,
     prevHash: this.previous.id,
     nonce: this.nonce || 0,
-    time: this.time,
-    bits: this.bits
+    time: time,
+    bits: bits
   };
-  this.template = Block.fromCoinbase(this.coinbase, header);
+  var candidates = this.mempool ? this.mempool.getTransactions() : [];
+  this.template = BlockTemplate.build(this.coinbase, header, candidates, this.maxBlockSize);
+  // the first nonce that work hasn't tried yet
+  this.nextNonce = header.nonce;
 };
 
 Miner.prototype.updateCoinbase = function(coinbase) {
@@ -56,36 +177,135 @@ Miner.prototype.updatePrevious = function(previous) {
   $.checkArgument(!_.isUndefined(previous.header.height), 'previous needs to be a Block');
   $.checkArgument(!_.isUndefined(previous.id), 'previous needs to be a Block');
   this.previous = previous;
+  if (this.claim) {
+    this.coinbase = this._claimCoinbase();
+  }
   if (this.coinbase) {
     this._updateTemplate();
   }
 };
 
+// builds a coinbase for a position of the frontier, as set in opts.claim
+Miner.prototype._claimCoinbase = function() {
+  var frontier = this.blockchain.getFrontier();
+  $.checkState(frontier.length, 'There are no positions next to mined pixels');
+  var pos = this.claim.strategy(frontier);
+  var coinbase = new Transaction()
+    .at(pos.x, pos.y)
+    .to(this.claim.owner);
+  if (!_.isUndefined(this.claim.color)) {
+    coinbase.colored(this.claim.color);
+  }
+  return coinbase;
+};
+
 
 Miner.prototype.run = function() {
+  $.checkState(this.template, 'A new coinbase is required, see updateCoinbase');
   this.running = true;
   //console.log('running towards difficulty ', this.template.header.getTargetDifficulty());
   while (this.running) {
-    this.work();
+    this.work(this.batchSize);
   }
 };
 
+/**
+ * Mines without blocking the event loop: the hashes are tried in batches of
+ * `batchSize`, yielding between them, so a new tip (`newTip`) or `stop` take
+ * effect right after the current batch.
+ *
+ * @return {Promise} the block found, or undefined if the miner was stopped
+ */
+Miner.prototype.start = function() {
+  $.checkState(this.template, 'A new coinbase is required, see updateCoinbase');
+  var self = this;
+  this.running = true;
+  // a previous run that was stopped must not continue when restarted
+  var run = ++this.runs;
+  var firstHash = this.hashes;
+  var started = Date.now();
+  var lastProgress = started;
+  var isCurrent = function() {
+    return self.running && self.runs === run;
+  };
+  return new Promise(function(resolve) {
+    var batch = function() {
+      if (!isCurrent()) {
+        return resolve();
+      }
+      var block = self.work(self.batchSize);
+      if (block) {
+        return resolve(block);
+      }
+      var now = Date.now();
+      if (now - lastProgress >= self.progressInterval) {
+        var hashes = self.hashes - firstHash;
+        lastProgress = now;
+        self.emit('progress', {
+          hashes: hashes,
+          hashrate: hashes * 1000 / Math.max(now - started, 1)
+        });
+      }
+      setImmediate(batch);
+    };
+    setImmediate(batch);
+  });
+};
+
 Miner.prototype.stop = function() {
   this.running = false;
 };
 
-// do one unit of work
-Miner.prototype.work = function() {
-  this.template.header.increaseNonce();
-  if (this.template.header.validProofOfWork()) {
-    // console.log(this.template.header.nonce, this.template.header.id);
-    this.emit('block', this.template);
-    // we need to receive a new coinbase to continue
-    this.stop();
-    return this.template;
+// do one unit of work: try the next `count` nonces (1 by default)
+Miner.prototype.work = function(count) {
+  var left = count || 1;
+  while (left > 0) {
+    if (this.nextNonce > BlockHeader.Constants.MAX_NONCE && !this._rollTime()) {
+      return;
+    }
+    var start = this.nextNonce;
+    var end = Math.min(start + left - 1, BlockHeader.Constants.MAX_NONCE);
+    var nonce = this.template.header.findNonce(start, end);
+    if (nonce !== null) {
+      return this._found(nonce, nonce - start + 1);
+    }
+    this._tried(end, end - start + 1);
+    left -= end - start + 1;
   }
 };
 
+// records that `count` nonces were tried, up to `nonce`
+Miner.prototype._tried = function(nonce, count) {
+  this.template.header.setNonce(nonce);
+  this.nextNonce = nonce + 1;
+  this.hashes += count;
+};
+
+Miner.prototype._found = function(nonce, count) {
+  var block = this.template;
+  this._tried(nonce, count);
+  this.emit('block', block);
+  // we need to receive a new coinbase to continue
+  this.stop();
+  return block;
+};
+
+// once every nonce was tried, the time of the template moves one second
+// forward and the nonces start over. The coinbase has no extra nonce to change
+// instead, so when the time can't go further the miner stops.
+Miner.prototype._rollTime = function() {
+  var header = this.template.header;
+  var time = header.time + 1;
+  if (time > this.clock() + BlockHeader.Constants.MAX_TIME_OFFSET) {
+    this.stop();
+    this.emit('exhausted', this.template);
+    return false;
+  }
+  header.setTime(time);
+  header.setNonce(0);
+  this.nextNonce = 0;
+  return true;
+};
 
 // inform the miner of a new tip
 // block: new blockchain tip
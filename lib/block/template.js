@@ -0,0 +1,71 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var Block = require('./block');
+var Varint = require('../encoding/varint');
+
+var varintSize = function(number) {
+  return new Varint(number).buf.length;
+};
+
+/**
+ * Builds the blocks that a Miner works on
+ *
+ * @namespace BlockTemplate
+ */
+module.exports = {
+
+  /**
+   * Picks transactions, in order, while the block stays within the maximum
+   * size. A transaction is skipped if the one it spends is one of the
+   * candidates and was skipped too.
+   *
+   * @param {Array.<Transaction>} candidates - each one after the transaction
+   *   it spends, if both are candidates (as returned by
+   *   Mempool#getTransactions)
+   * @param {Block} block - the block the transactions are for, with its
+   *   coinbase
+   * @param {number=} maxSize - in bytes, defaults to Block.MAX_BLOCK_SIZE
+   * @return {Array.<Transaction>}
+   */
+  selectTransactions: function selectTransactions(candidates, block, maxSize) {
+    maxSize = maxSize || Block.MAX_BLOCK_SIZE;
+    var count = block.transactions.length;
+    var size = block.toBuffer().length - varintSize(count);
+    $.checkArgument(size + varintSize(count) <= maxSize, 'The block is already larger than the maximum size');
+
+    var skipped = {};
+    var selected = [];
+    _.each(candidates, function(tx) {
+      var input = tx.input.toString('hex');
+      var txSize = tx.toBuffer().length;
+      if (skipped[input] || size + txSize + varintSize(count + 1) > maxSize) {
+        skipped[tx.hash] = true;
+        return;
+      }
+      selected.push(tx);
+      size += txSize;
+      count += 1;
+    });
+    return selected;
+  },
+
+  /**
+   * @param {Transaction} coinbase
+   * @param {Object} header - the header data, see Block.fromCoinbase
+   * @param {Array.<Transaction>=} candidates - see selectTransactions
+   * @param {number=} maxSize - see selectTransactions
+   * @return {Block} a block with the coinbase and as many of the candidates as
+   *   fit in it
+   */
+  build: function build(coinbase, header, candidates, maxSize) {
+    var block = Block.fromCoinbase(coinbase, header);
+    var selected = module.exports.selectTransactions(candidates || [], block, maxSize);
+    if (selected.length) {
+      block.transactions = block.transactions.concat(selected);
+      block.header.merkleRoot = block.getMerkleRoot();
+    }
+    return block;
+  }
+};
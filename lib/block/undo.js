@@ -0,0 +1,121 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BufferReader = require('../encoding/bufferreader');
+var BufferWriter = require('../encoding/bufferwriter');
+var Transaction = require('../transaction');
+
+var posToString = function(pos) {
+  return pos.x + '_' + pos.y;
+};
+
+/**
+ * What a block changed when it was confirmed: the transaction that each
+ * position it touched had before (undefined for pixels it mined). It's what
+ * Blockchain#unconfirm needs to revert the block.
+ *
+ * @param {Object} data
+ * @param {string} data.hash - the hash of the block
+ * @param {Array} data.pixels - objects with a `position` and the previous
+ *   transaction (`tx`) of that position, if any
+ * @constructor
+ */
+function BlockUndo(data) {
+  if (!(this instanceof BlockUndo)) {
+    return new BlockUndo(data);
+  }
+  $.checkArgument(_.isString(data.hash), 'data.hash is required');
+  $.checkArgument(_.isArray(data.pixels), 'data.pixels is required');
+  this.hash = data.hash;
+  this.pixels = data.pixels;
+}
+
+/**
+ * Records the state of the positions that a block is about to change
+ *
+ * @param {Block} block
+ * @param {Object} pixels - map from position ('x_y') to its transaction,
+ *   before the block is applied
+ * @returns {BlockUndo}
+ */
+BlockUndo.fromBlock = function(block, pixels) {
+  var seen = {};
+  var entries = [];
+  _.each(block.transactions, function(tx) {
+    var pos = posToString(tx.position);
+    if (!seen[pos]) {
+      seen[pos] = true;
+      entries.push({
+        position: {
+          x: tx.position.x,
+          y: tx.position.y
+        },
+        tx: pixels[pos]
+      });
+    }
+  });
+  return new BlockUndo({
+    hash: block.hash,
+    pixels: entries
+  });
+};
+
+/**
+ * @param {Buffer} buffer
+ * @returns {BlockUndo}
+ */
+BlockUndo.fromBuffer = function(buffer) {
+  var reader = new BufferReader(buffer);
+  var hash = reader.read(32).toString('hex');
+  var pixels = [];
+  var count = reader.readVarintNum();
+  for (var i = 0; i < count; i++) {
+    var entry = {
+      position: {
+        x: reader.readInt32LE(),
+        y: reader.readInt32LE()
+      }
+    };
+    if (reader.readUInt8()) {
+      entry.tx = new Transaction().fromBufferReader(reader);
+    }
+    pixels.push(entry);
+  }
+  $.checkArgument(reader.finished(), 'Unexpected data after the undo record');
+  return new BlockUndo({
+    hash: hash,
+    pixels: pixels
+  });
+};
+
+/**
+ * @returns {Buffer}
+ */
+BlockUndo.prototype.toBuffer = function() {
+  var writer = new BufferWriter();
+  writer.write(new Buffer(this.hash, 'hex'));
+  writer.writeVarintNum(this.pixels.length);
+  _.each(this.pixels, function(entry) {
+    writer.writeInt32LE(entry.position.x);
+    writer.writeInt32LE(entry.position.y);
+    writer.writeUInt8(entry.tx ? 1 : 0);
+    if (entry.tx) {
+      entry.tx.toBufferWriter(writer);
+    }
+  });
+  return writer.toBuffer();
+};
+
+/**
+ * @returns {Object} map from position ('x_y') to its previous transaction
+ */
+BlockUndo.prototype.getPreviousPixels = function() {
+  var previous = {};
+  _.each(this.pixels, function(entry) {
+    previous[posToString(entry.position)] = entry.tx;
+  });
+  return previous;
+};
+
+module.exports = BlockUndo;
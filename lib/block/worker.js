@@ -0,0 +1,61 @@
+'use strict';
+
+/**
+ * Child process of MiningCoordinator. It receives a header and a range of
+ * nonces to try, and reports the nonce that satisfies the proof of work, or
+ * that the range was exhausted.
+ *
+ * Messages received:
+ *  - {type: 'work', job, header (hex), start, end}: replaces the current work
+ *  - {type: 'stop'}
+ *
+ * Messages sent:
+ *  - {type: 'found', job, nonce}
+ *  - {type: 'exhausted', job}
+ */
+
+var BlockHeader = require('./blockheader');
+
+// nonces tried before checking for new messages
+var BATCH_SIZE = 1000;
+
+var current = null;
+
+var work = function(job) {
+  if (current !== job) {
+    return;
+  }
+  var end = Math.min(job.nonce + BATCH_SIZE - 1, job.end);
+  var nonce = job.header.findNonce(job.nonce, end);
+  if (nonce !== null) {
+    current = null;
+    process.send({
+      type: 'found',
+      job: job.id,
+      nonce: nonce
+    });
+  } else if (end === job.end) {
+    current = null;
+    process.send({
+      type: 'exhausted',
+      job: job.id
+    });
+  } else {
+    job.nonce = end + 1;
+    setImmediate(work, job);
+  }
+};
+
+process.on('message', function(message) {
+  if (message.type === 'work') {
+    current = {
+      id: message.job,
+      header: BlockHeader.fromString(message.header),
+      nonce: message.start,
+      end: message.end
+    };
+    setImmediate(work, current);
+  } else if (message.type === 'stop') {
+    current = null;
+  }
+});
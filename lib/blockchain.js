@@ -1,21 +1,48 @@
 'use strict';
 
+var Promise = require('bluebird');
 var events = require('events');
+var path = require('path');
 var util = require('util');
 var _ = require('lodash');
 
 var $ = require('./util/preconditions');
 
+var BN = require('./crypto/bn');
+var Block = require('./block/block');
+var BlockHeader = require('./block/blockheader');
+var BlockUndo = require('./block/undo');
+var BufferReader = require('./encoding/bufferreader');
+var BufferWriter = require('./encoding/bufferwriter');
+var Networks = require('./networks');
+var TileGrid = require('./map/tilegrid');
+var PublicKey = require('./publickey');
+var Clock = require('./util/clock');
 var Sighash = require('./transaction/sighash');
+var Transaction = require('./transaction');
 var BlockStore = require('./store/block');
 var TransactionStore = require('./store/transaction');
+var UndoStore = require('./store/undo');
+var MemoryStorage = require('./store/memory');
+var FilesystemStorage = require('./store/filesystem');
 
 var errors = require('./errors');
 
 var NULL = '0000000000000000000000000000000000000000000000000000000000000000';
 
+// version of the format used by toObject and toBuffer
+var SNAPSHOT_VERSION = 1;
+
+// default for the maximum number of blocks a reorganization can disconnect
 var MAX_REWIND = 100;
 
+// number of blocks used to calculate the median time past
+var MEDIAN_TIME_SPAN = 11;
+
+// limits for blocks kept while waiting for their parent
+var MAX_ORPHAN_BLOCKS = 750;
+var MAX_ORPHAN_AGE = 20 * 60;
+
 var neighbors = function(pos) {
   return [
     {x: pos.x -1, y: pos.y},
@@ -29,11 +56,87 @@ var posToString = function(pos) {
   return pos.x + '_' + pos.y;
 };
 
-function Blockchain() {
+// prefixes for the data files of each store in the filesystem
+var FILE_PREFIXES = {
+  blocks: 'blk',
+  transactions: 'tx',
+  undo: 'rev'
+};
+
+var createStorage = function(opts, name) {
+  if (_.isFunction(opts.storage)) {
+    return opts.storage(name);
+  }
+  if (_.isUndefined(opts.storage) || opts.storage === 'memory') {
+    return new MemoryStorage();
+  }
+  if (opts.storage === 'filesystem') {
+    $.checkArgument(_.isString(opts.path), 'opts.path is required to store the blockchain in the filesystem');
+    return new FilesystemStorage(path.join(opts.path, name), {
+      prefix: FILE_PREFIXES[name]
+    });
+  }
+  throw new errors.Storage.UnknownBackend(opts.storage);
+};
+
+/**
+ * Keeps track of the best chain of blocks and the state of the pixels
+ *
+ * @param {Object=} opts
+ * @param {Network|string=} opts.network - the network whose consensus
+ *   parameters apply, defaults to Networks.defaultNetwork
+ * @param {Function=} opts.clock - the source of the current time (see
+ *   util/clock), defaults to the system clock
+ * @param {number=} opts.maxOrphans - how many blocks with an unknown parent
+ *   to keep, defaults to MAX_ORPHAN_BLOCKS
+ * @param {number=} opts.maxOrphanAge - seconds after which a block with an
+ *   unknown parent is discarded, defaults to MAX_ORPHAN_AGE
+ * @param {number=} opts.maxReorgDepth - chains that fork more than this many
+ *   blocks below the tip are rejected, defaults to MAX_REWIND. It can be
+ *   changed later through the `maxReorgDepth` property (for example, set to
+ *   Infinity to recover from a long fork).
+ * @param {string|Function=} opts.storage - where blocks and transactions are
+ *   kept: 'memory' (the default), 'filesystem' (in the directory opts.path),
+ *   or a function that takes the name of a store ('blocks', 'transactions'
+ *   or 'undo') and returns a storage adapter (see store/memory)
+ * @param {string=} opts.path - the directory for filesystem storage
+ * @param {number=} opts.pruneDepth - if set, side-chain blocks that fork more
+ *   than this many blocks below the tip are removed from the storage every
+ *   time the tip changes (see prune)
+ *
+ * Blocks and transactions are read from the storage asynchronously, so the
+ * methods that need them return promises. They are run one at a time, in the
+ * order they are called. The headers of the stored blocks, the state of the
+ * pixels and the history of each position are kept in memory, so the
+ * consensus checks are synchronous.
+ *
+ * Blocks that are already in the storage are connected again when the
+ * blockchain is created, in the order they were stored, so that the chain
+ * state is restored after a restart. The `ready` promise resolves when that
+ * is done.
+ *
+ * Events, for each block connected or disconnected: one `pixel:changed`
+ * (position, old transaction, new transaction) per pixel change, in the order
+ * they are applied, followed by `block:connected` or `block:disconnected`
+ * (block). Once the chain has switched to a new tip, `reorg` (the result of
+ * proposeNewBlock) if blocks were disconnected, and then `tip` (block).
+ * A chain rejected because of maxReorgDepth emits `reorg:rejected` (the
+ * blocks that would have been unconfirmed and confirmed) before throwing.
+ * Blocks with an unknown parent emit `block:orphan` (block) and
+ * `block:request` (hash of the missing block). Orphans that turn out to be
+ * invalid emit `block:invalid` (block, error). Pruning emits `prune` (what
+ * was removed) if any block was removed.
+ *
+ * @constructor
+ */
+function Blockchain(opts) {
   events.EventEmitter.call(this);
+  opts = opts || {};
+  this.network = Networks.get(opts.network) || Networks.defaultNetwork;
+  this.clock = opts.clock || Clock.system;
   this.tip = NULL;
   this.work = {};
-  this.work[NULL] = 0;
+  this.work[NULL] = new BN(0);
   this.height = {};
   this.height[NULL] = -1;
   this.hashByHeight = {
@@ -41,30 +144,150 @@ function Blockchain() {
   };
   this.next = {};
   this.prev = {};
+  this.headers = {};
 
   this.pixels = {};
+  this.history = {};
+  this.owners = {};
+  this.positionByHash = {};
+  this.grid = new TileGrid();
 
-  this.blockStore = new BlockStore();
-  this.txStore = new TransactionStore();
+  this.orphans = {};
+  this.orphansByPrev = {};
+  this.maxOrphans = opts.maxOrphans || MAX_ORPHAN_BLOCKS;
+  this.maxOrphanAge = opts.maxOrphanAge || MAX_ORPHAN_AGE;
+  this.maxReorgDepth = _.isUndefined(opts.maxReorgDepth) ? MAX_REWIND : opts.maxReorgDepth;
+  this.pruneDepth = opts.pruneDepth;
+
+  this.blockStore = new BlockStore(createStorage(opts, 'blocks'));
+  this.txStore = new TransactionStore(createStorage(opts, 'transactions'));
+  this.undoStore = new UndoStore(createStorage(opts, 'undo'));
+  this.queue = Promise.resolve();
+  this.ready = this._enqueue(this._connectStoredBlocks);
 }
 util.inherits(Blockchain, events.EventEmitter);
 
 Blockchain.NULL = NULL;
+Blockchain.SNAPSHOT_VERSION = SNAPSHOT_VERSION;
+Blockchain.MAX_REWIND = MAX_REWIND;
+Blockchain.MEDIAN_TIME_SPAN = MEDIAN_TIME_SPAN;
+Blockchain.MAX_ORPHAN_BLOCKS = MAX_ORPHAN_BLOCKS;
+Blockchain.MAX_ORPHAN_AGE = MAX_ORPHAN_AGE;
+
+var checkSnapshotVersion = function(version) {
+  if (version !== SNAPSHOT_VERSION) {
+    throw new errors.Blockchain.InvalidSnapshot('unsupported version ' + version);
+  }
+};
+
+/**
+ * Restores a blockchain from a snapshot created with Blockchain#toObject.
+ * The snapshot is checked for consistency, see Blockchain#checkConsistency.
+ *
+ * @param {Object} obj
+ * @param {Object=} opts - options for the Blockchain constructor
+ * @returns {Promise} the Blockchain
+ */
+Blockchain.fromObject = function(obj, opts) {
+  return Promise.try(function() {
+    checkSnapshotVersion(obj.version);
+    var blockchain = new Blockchain(opts);
+    return blockchain._enqueue(function() {
+      blockchain.tip = obj.tip;
+      blockchain.work = _.mapValues(obj.work, function(work) {
+        return new BN(work, 'hex');
+      });
+      blockchain.hashByHeight = _.clone(obj.hashByHeight);
+      blockchain.height = _.clone(obj.height);
+      blockchain.next = _.clone(obj.next);
+      blockchain.prev = _.clone(obj.prev);
+      return Promise.each(obj.blocks, function(block) {
+        return blockchain.saveBlockToStore(Block.fromObject(block));
+      }).then(function() {
+        return blockchain._restorePixels(obj.pixels);
+      }).then(function() {
+        return blockchain._checkConsistency();
+      }).then(function() {
+        return blockchain._replayBestChain();
+      }).return(blockchain);
+    });
+  });
+};
+
+/**
+ * Restores a blockchain from a snapshot created with Blockchain#toBuffer. The
+ * chain indexes are rebuilt from the blocks, and the snapshot is checked for
+ * consistency, see Blockchain#checkConsistency.
+ *
+ * @param {Buffer} buffer
+ * @param {Object=} opts - options for the Blockchain constructor
+ * @returns {Promise} the Blockchain
+ */
+Blockchain.fromBuffer = function(buffer, opts) {
+  return Promise.try(function() {
+    var reader = new BufferReader(buffer);
+    checkSnapshotVersion(reader.readUInt32LE());
+    var tip = reader.read(32).toString('hex');
+
+    var blocks = [];
+    var blockCount = reader.readVarintNum();
+    for (var i = 0; i < blockCount; i++) {
+      blocks.push(Block.fromBufferReader(reader));
+    }
+    var pixels = {};
+    var pixelCount = reader.readVarintNum();
+    for (i = 0; i < pixelCount; i++) {
+      var position = {
+        x: reader.readInt32LE(),
+        y: reader.readInt32LE()
+      };
+      pixels[posToString(position)] = reader.read(32).toString('hex');
+    }
+    $.checkArgument(reader.finished(), 'Unexpected data after the blockchain snapshot');
 
-Blockchain.fromObject = function(obj) {
-  var blockchain = new Blockchain();
-  blockchain.tip = obj.tip;
-  blockchain.work = obj.work;
-  blockchain.hashByHeight = obj.hashByHeight;
-  blockchain.height = obj.height;
-  blockchain.next = obj.next;
-  blockchain.prev = obj.prev;
-  return blockchain;
+    var blockchain = new Blockchain(opts);
+    return blockchain._enqueue(function() {
+      return Promise.each(blocks, function(block) {
+        return blockchain.saveBlockToStore(block);
+      }).then(function() {
+        blockchain._rebuildIndexes(tip, blocks);
+        return blockchain._restorePixels(pixels);
+      }).then(function() {
+        return blockchain._checkConsistency();
+      }).then(function() {
+        return blockchain._replayBestChain();
+      }).return(blockchain);
+    });
+  });
 };
 
-var getWork = function(hash) {
-  // TODO: Calculate work
-  return 1;
+/**
+ * The expected number of hashes needed to find a block with the given bits,
+ * that is, 2^256 / (target + 1)
+ *
+ * @param {number} bits - compact representation of the target
+ * @returns {BN}
+ */
+var getWork = function(bits) {
+  var target = BlockHeader.getTargetDifficulty(bits);
+  return BlockHeader.Constants.LARGEST_HASH.div(target.add(new BN(1)));
+};
+
+/**
+ * Runs a task once every task queued before it has finished, so that blocks
+ * are processed one at a time and reads never see a block half processed.
+ *
+ * @param {Function} task - called with the blockchain as `this`, can return
+ *   a promise
+ * @returns {Promise} the result of the task
+ */
+Blockchain.prototype._enqueue = function(task) {
+  var self = this;
+  var result = this.queue.then(function() {
+    return task.call(self);
+  });
+  this.queue = result.then(_.noop, _.noop);
+  return result;
 };
 
 Blockchain.prototype.addHashReferences = function(block) {
@@ -73,20 +296,32 @@ Blockchain.prototype.addHashReferences = function(block) {
   var prevHash = block.prevHash;
   var hash = block.hash;
 
-  this.work[hash] = this.work[prevHash] + getWork(hash);
+  this.work[hash] = this.work[prevHash].add(getWork(block.header.bits));
   this.prev[hash] = prevHash;
 };
 
+/**
+ * Stores a block and its transactions. The header is also kept in memory, for
+ * the consensus checks.
+ *
+ * @param {Block} block
+ * @returns {Promise}
+ */
 Blockchain.prototype.saveBlockToStore = function(block) {
-  this.blockStore.set(block);
-  this.saveTxToStore(block);
+  var self = this;
+  this.headers[block.hash] = block.header;
+  return this.blockStore.set(block).then(function() {
+    return self.saveTxToStore(block);
+  });
 };
 
 Blockchain.prototype.saveTxToStore = function(block) {
-  var self = this;
-  block.transactions.map(function(tx) {
-    self.txStore.set(tx);
-  });
+  return this.txStore.batch(block.transactions.map(function(tx) {
+    return {
+      type: 'set',
+      value: tx
+    };
+  }));
 };
 
 Blockchain.prototype.isValidBlock = function(block) {
@@ -102,7 +337,14 @@ Blockchain.prototype.checkValidBlock = function(block) {
   if (_.isUndefined(this.work[block.prevHash])) {
     throw new errors.Blockchain.MissingParent(block.hash, block.prevHash);
   }
+  this.checkValidHeader(block);
+  if (!block.validMerkleRoot()) {
+    throw new errors.Blockchain.InvalidMerkleRoot(block.hash);
+  }
   var coinbase = block.transactions[0];
+  if (!coinbase || !coinbase.isCoinbase()) {
+    throw new errors.Blockchain.MissingCoinbase(block.hash);
+  }
   var coinbasePos = posToString(coinbase.position);
   if (this.pixels[coinbasePos]) {
     throw new errors.Blockchain.PixelMined(coinbasePos);
@@ -119,12 +361,22 @@ Blockchain.prototype.checkValidBlock = function(block) {
   }
   var prevTx = {};
   prevTx[coinbasePos] = coinbase;
-  for (var i = 1; i < block.transactions.length; i++) {
+  for (i = 1; i < block.transactions.length; i++) {
     var tx = block.transactions[i];
+    if (tx.isCoinbase()) {
+      throw new errors.Blockchain.UnexpectedCoinbase(block.hash, i);
+    }
     var pos = posToString(tx.position);
     if (!prevTx[pos]) {
       prevTx[pos] = this.pixels[pos];
     }
+    if (!prevTx[pos]) {
+      throw new errors.Blockchain.MissingInput(tx.hash, pos);
+    }
+    var input = tx.input.toString('hex');
+    if (input !== prevTx[pos].hash) {
+      throw new errors.Blockchain.InvalidInput(tx.hash, input, prevTx[pos].hash);
+    }
     if (!Sighash.verify(tx, tx.signature, prevTx[pos].owner)) {
       throw new errors.Blockchain.SignatureMismatch(tx, block.hash, i);
     }
@@ -133,6 +385,172 @@ Blockchain.prototype.checkValidBlock = function(block) {
   return true;
 };
 
+var isValidColor = function(color) {
+  return _.isNumber(color) && color % 1 === 0 && 0 <= color && color <= 0xffffffff;
+};
+
+/**
+ * Checks that a transfer can be applied to the current state of the pixels:
+ * its color is valid, it spends the current transaction of its position, and
+ * it's signed by the owner of that transaction.
+ *
+ * @param {Transaction} tx
+ * @param {Object=} pending - map from position ('x_y') to transactions that
+ *   are not in the blockchain yet but should be treated as the current ones,
+ *   for example the ones waiting in the mempool
+ * @returns {boolean} true, throws if the transaction is invalid
+ */
+Blockchain.prototype.checkTransaction = function(tx, pending) {
+  $.checkArgument(tx instanceof Transaction, 'tx is a required Transaction');
+  pending = pending || {};
+  // the hash can't be calculated with an invalid color
+  if (!isValidColor(tx.color)) {
+    throw new errors.Blockchain.InvalidColor(tx.color);
+  }
+  if (tx.isCoinbase()) {
+    throw new errors.Blockchain.NotATransfer(tx.hash);
+  }
+  var pos = posToString(tx.position);
+  var input = tx.input.toString('hex');
+  var current = pending[pos] || this.pixels[pos];
+  if (!current) {
+    throw new errors.Blockchain.MissingInput(tx.hash, pos);
+  }
+  if (current.hash !== input) {
+    var inputPos = this.positionByHash[input] || _.findKey(pending, function(pendingTx) {
+      return pendingTx && pendingTx.hash === input;
+    });
+    if (inputPos && inputPos !== pos) {
+      throw new errors.Blockchain.PositionMismatch(tx.hash, pos, inputPos);
+    }
+    throw new errors.Blockchain.InvalidInput(tx.hash, input, current.hash);
+  }
+  if (!tx.signature || !Sighash.verify(tx, tx.signature, current.owner)) {
+    throw new errors.Blockchain.InvalidSignature(tx.hash);
+  }
+  return true;
+};
+
+/**
+ * Checks the consensus rules that only depend on the header of a block and
+ * the headers of its ancestors: version, height, proof of work, timestamps and
+ * difficulty bits. The parent of the block must be known.
+ *
+ * @param {Block} block
+ * @returns {boolean} true, throws if the header is invalid
+ */
+Blockchain.prototype.checkValidHeader = function(block) {
+  var header = block.header;
+  if (!header.validVersion()) {
+    throw new errors.Blockchain.UnknownVersion(block.hash, header.version);
+  }
+  var parentHeight = block.prevHash === NULL ? -1 : this._getHeader(block.prevHash).height;
+  if (header.height !== parentHeight + 1) {
+    throw new errors.Blockchain.InvalidHeight(block.hash, header.height, parentHeight);
+  }
+  if (!header.validProofOfWork()) {
+    throw new errors.Blockchain.InvalidProofOfWork(block.hash);
+  }
+  if (!header.validTimestamp(this.clock)) {
+    throw new errors.Blockchain.InvalidTimestamp(block.hash, header.time);
+  }
+  if (block.prevHash !== NULL) {
+    var medianTimePast = this.getMedianTimePast(block.prevHash);
+    if (header.time <= medianTimePast) {
+      throw new errors.Blockchain.TimeTooOld(block.hash, header.time, medianTimePast);
+    }
+  }
+  var requiredBits = this.getNextRequiredBits(block.prevHash);
+  if (header.bits !== requiredBits) {
+    throw new errors.Blockchain.InvalidBits(block.hash, header.bits.toString(16), requiredBits.toString(16));
+  }
+  return true;
+};
+
+Blockchain.prototype._getHeader = function(hash) {
+  return this.headers[hash];
+};
+
+/**
+ * Walks back the chain from a block
+ *
+ * @param {string} hash - the block to start from
+ * @param {number} distance - how many blocks to go back
+ * @returns {BlockHeader} the header of the ancestor
+ */
+Blockchain.prototype._getAncestorHeader = function(hash, distance) {
+  while (distance-- > 0) {
+    hash = this.prev[hash];
+  }
+  return this._getHeader(hash);
+};
+
+/**
+ * The median of the timestamps of a block and its ancestors, up to
+ * MEDIAN_TIME_SPAN blocks. A block on top of `hash` must have a greater time.
+ *
+ * @param {string=} hash - defaults to the current tip
+ * @returns {number}
+ */
+Blockchain.prototype.getMedianTimePast = function(hash) {
+  hash = hash || this.tip;
+  $.checkArgument(hash !== NULL, 'No blocks to get a median time from');
+  var times = [];
+  while (hash !== NULL && times.length < MEDIAN_TIME_SPAN) {
+    times.push(this._getHeader(hash).time);
+    hash = this.prev[hash];
+  }
+  times.sort(function(a, b) {
+    return a - b;
+  });
+  return times[Math.floor(times.length / 2)];
+};
+
+/**
+ * Calculates the bits that a block on top of `prevHash` must have.
+ *
+ * Every `retargetWindow` blocks the target is scaled by how long the previous
+ * window took compared to `targetSpacing * retargetWindow` seconds, limiting
+ * the adjustment to a factor of four. Blocks in the first window, and every
+ * target above it, use BlockHeader.Constants.DEFAULT_BITS (the easiest target).
+ * A block without a parent must have the bits of the genesis block.
+ *
+ * @param {string=} prevHash - defaults to the current tip
+ * @returns {number}
+ */
+Blockchain.prototype.getNextRequiredBits = function(prevHash) {
+  prevHash = prevHash || this.tip;
+  var powLimitBits = BlockHeader.Constants.DEFAULT_BITS;
+  if (prevHash === NULL) {
+    return Block.genesis.header.bits;
+  }
+  var prev = this._getHeader(prevHash);
+  var height = prev.height + 1;
+  var window = this.network.retargetWindow;
+
+  if (height < window) {
+    return powLimitBits;
+  }
+  if (height % window !== 0) {
+    return prev.bits;
+  }
+
+  var first = this._getAncestorHeader(prevHash, window - 1);
+  var expected = window * this.network.targetSpacing;
+  var timespan = prev.time - first.time;
+  timespan = Math.max(timespan, Math.floor(expected / 4));
+  timespan = Math.min(timespan, expected * 4);
+
+  var powLimit = BlockHeader.getTargetDifficulty(powLimitBits);
+  var target = BlockHeader.getTargetDifficulty(prev.bits)
+    .mul(new BN(timespan))
+    .div(new BN(expected));
+  if (target.cmp(powLimit) > 0) {
+    return powLimitBits;
+  }
+  return BlockHeader.getBits(target);
+};
+
 Blockchain.prototype._appendNewBlock = function(hash) {
   var toUnconfirm = [];
   var toConfirm = [];
@@ -154,92 +572,340 @@ Blockchain.prototype._appendNewBlock = function(hash) {
   }
 
   toConfirm.reverse();
-  toUnconfirm.map(function(hash) {
-    self.unconfirm(this.blockStore.get(hash));
-  }, this);
-  try {
-    toConfirm.map(function(hash) {
-      var block = this.blockStore.get(hash);
-      $.checkArgument(this.isValidBlock(block));
-      self.confirm(block);
-    }, this);
-  } catch (e) {
-    // console.log('Rollback: ' + e.message);
-    toUnconfirm.reverse();
-    toUnconfirm.map(function(hash) {
-      self.confirm(this.blockStore.get(hash));
-    }, this);
-
-    throw e;
+  if (toUnconfirm.length > this.maxReorgDepth) {
+    this.emit('reorg:rejected', {
+      unconfirmed: toUnconfirm,
+      confirmed: toConfirm
+    });
+    throw new errors.Blockchain.ReorgTooDeep(hash, toUnconfirm.length, this.maxReorgDepth);
   }
-  return {
-    unconfirmed: toUnconfirm,
-    confirmed: toConfirm
+
+  var unconfirm = function(hash) {
+    return self.blockStore.get(hash).then(function(block) {
+      return self.unconfirm(block);
+    });
   };
+  var confirm = function(hash) {
+    return self.blockStore.get(hash).then(function(block) {
+      return self.confirm(block);
+    });
+  };
+
+  var confirmed = [];
+  var tipBlock;
+  return Promise.each(toUnconfirm, unconfirm).then(function() {
+    return Promise.each(toConfirm, function(hash) {
+      return self.blockStore.get(hash).then(function(block) {
+        self.checkValidBlock(block);
+        tipBlock = block;
+        return self.confirm(block);
+      }).then(function() {
+        confirmed.push(hash);
+      });
+    }).catch(function(e) {
+      // console.log('Rollback: ' + e.message);
+      confirmed.reverse();
+      toUnconfirm.reverse();
+      return Promise.each(confirmed, unconfirm).then(function() {
+        return Promise.each(toUnconfirm, confirm);
+      }).then(function() {
+        throw e;
+      });
+    });
+  }).then(function() {
+    var result = {
+      unconfirmed: toUnconfirm,
+      confirmed: toConfirm
+    };
+    if (toUnconfirm.length) {
+      self.emit('reorg', result);
+    }
+    self.emit('tip', tipBlock);
+    return result;
+  });
 };
 
+/**
+ * Adds a block to the blockchain, making it the new tip if its chain has
+ * more work than the current one. Blocks are processed one at a time, in the
+ * order they are proposed.
+ *
+ * If the parent of the block is unknown, the block is kept in the orphan pool
+ * and a `block:request` event is emitted with the hash of the first missing
+ * ancestor. Once that ancestor is added, the orphans that descend from it
+ * are connected too, and their changes are included in the result.
+ *
+ * @param {Block} block
+ * @returns {Promise} the hashes of the blocks that were unconfirmed and
+ *   confirmed as a consequence of adding this block
+ */
 Blockchain.prototype.proposeNewBlock = function(block) {
+  return this._enqueue(function() {
+    if (!this.hasData(block.prevHash)) {
+      this._addOrphan(block);
+      return {
+        unconfirmed: [],
+        confirmed: []
+      };
+    }
+    var self = this;
+    return this._connectBlock(block).then(function(result) {
+      return self._connectOrphans(block.hash, result).return(result);
+    }).then(function(result) {
+      if (result.confirmed.length && !_.isUndefined(self.pruneDepth)) {
+        return self._prune(self.pruneDepth).return(result);
+      }
+      return result;
+    });
+  });
+};
+
+Blockchain.prototype._connectBlock = function(block) {
+  var self = this;
   var prevHash = block.prevHash;
   var hash = block.hash;
 
   $.checkState(this.hasData(prevHash), 'No previous data to estimate work');
-  this.saveBlockToStore(block);
-  this.addHashReferences(block);
+  return this.saveBlockToStore(block).then(function() {
+    self.addHashReferences(block);
 
-  var work = this.work[hash];
-  var tipWork = this.work[this.tip];
-  $.checkState(!_.isUndefined(work), 'No work found for ' + hash);
-  $.checkState(!_.isUndefined(tipWork), 'No work found for tip ' + this.tip);
+    var work = self.work[hash];
+    var tipWork = self.work[self.tip];
+    $.checkState(!_.isUndefined(work), 'No work found for ' + hash);
+    $.checkState(!_.isUndefined(tipWork), 'No work found for tip ' + self.tip);
 
-  // console.log('Tip has ' + tipWork + '(hash ' + this.tip + '); new block has '+work+' (hash '+hash+')');
-  if (work > tipWork) {
-    return this._appendNewBlock(hash);
+    // console.log('Tip has ' + tipWork + '(hash ' + self.tip + '); new block has '+work+' (hash '+hash+')');
+    if (work.cmp(tipWork) > 0) {
+      return self._appendNewBlock(hash);
+    }
+    return {
+      unconfirmed: [],
+      confirmed: []
+    };
+  });
+};
+
+/**
+ * Connects the blocks found in the storage, as if they were proposed again.
+ * Blocks that were rejected when they were first proposed are rejected again.
+ *
+ * @returns {Promise}
+ */
+Blockchain.prototype._connectStoredBlocks = function() {
+  var self = this;
+  return this.blockStore.getAll().then(function(blocks) {
+    return Promise.each(blocks, function(block) {
+      if (!self.hasData(block.hash)) {
+        return self._connectBlock(block).catch(errors.Blockchain, _.noop);
+      }
+    });
+  });
+};
+
+/**
+ * Closes the storage of blocks, transactions and undo records, once the
+ * blocks already proposed have been processed
+ *
+ * @returns {Promise}
+ */
+Blockchain.prototype.close = function() {
+  return this._enqueue(function() {
+    return Promise.all([this.blockStore.close(), this.txStore.close(), this.undoStore.close()]);
+  });
+};
+
+Blockchain.prototype.isOrphan = function(hash) {
+  return !_.isUndefined(this.orphans[hash]);
+};
+
+Blockchain.prototype._addOrphan = function(block) {
+  var hash = block.hash;
+  if (this.isOrphan(hash)) {
+    return;
+  }
+  // checking the proof of work makes it expensive to fill the pool with junk
+  if (!block.header.validProofOfWork()) {
+    throw new errors.Blockchain.InvalidProofOfWork(hash);
   }
-  return {
-    unconfirmed: [],
-    confirmed: []
+  this._expireOrphans();
+  while (_.size(this.orphans) >= this.maxOrphans) {
+    this._removeOrphan(this._getOldestOrphan());
+  }
+
+  this.orphans[hash] = {
+    block: block,
+    time: this.clock()
   };
+  this.orphansByPrev[block.prevHash] = this.orphansByPrev[block.prevHash] || [];
+  this.orphansByPrev[block.prevHash].push(hash);
+
+  this.emit('block:orphan', block);
+  this.emit('block:request', this._getOrphanRoot(hash).prevHash);
+};
+
+Blockchain.prototype._removeOrphan = function(hash) {
+  var prevHash = this.orphans[hash].block.prevHash;
+  delete this.orphans[hash];
+  this.orphansByPrev[prevHash] = _.without(this.orphansByPrev[prevHash], hash);
+  if (!this.orphansByPrev[prevHash].length) {
+    delete this.orphansByPrev[prevHash];
+  }
+};
+
+Blockchain.prototype._getOldestOrphan = function() {
+  var self = this;
+  return _.min(_.keys(this.orphans), function(hash) {
+    return self.orphans[hash].time;
+  });
 };
 
+Blockchain.prototype._expireOrphans = function() {
+  var self = this;
+  var limit = this.clock() - this.maxOrphanAge;
+  _.each(_.keys(this.orphans), function(hash) {
+    if (self.orphans[hash].time < limit) {
+      self._removeOrphan(hash);
+    }
+  });
+};
+
+Blockchain.prototype._discardOrphansOf = function(hash) {
+  var pending = [hash];
+  while (pending.length) {
+    var children = this.orphansByPrev[pending.shift()] || [];
+    for (var i = 0; i < children.length; i++) {
+      this._removeOrphan(children[i]);
+      pending.push(children[i]);
+    }
+  }
+};
+
+/**
+ * @param {string} hash - an orphan block
+ * @returns {Block} the oldest ancestor of the block that is in the orphan pool
+ */
+Blockchain.prototype._getOrphanRoot = function(hash) {
+  var block = this.orphans[hash].block;
+  while (this.isOrphan(block.prevHash)) {
+    block = this.orphans[block.prevHash].block;
+  }
+  return block;
+};
+
+/**
+ * Connects the orphans that were waiting for `hash`, then the ones waiting
+ * for those, and so on. An orphan that turns out to be invalid is discarded
+ * along with its descendants, and a `block:invalid` event is emitted.
+ *
+ * @param {string} hash - a block that was just added
+ * @param {Object} result - the changes to the chain, updated in place
+ * @returns {Promise}
+ */
+Blockchain.prototype._connectOrphans = function(hash, result) {
+  var self = this;
+  var pending = [hash];
+  var connectChildren = function() {
+    if (!pending.length) {
+      return;
+    }
+    var children = self.orphansByPrev[pending.shift()] || [];
+    return Promise.each(children, function(child) {
+      var block = self.orphans[child].block;
+      self._removeOrphan(child);
+      return self._connectBlock(block).then(function(connected) {
+        result.unconfirmed = result.unconfirmed.concat(connected.unconfirmed);
+        result.confirmed = result.confirmed.concat(connected.confirmed);
+        pending.push(child);
+      }, function(e) {
+        self._discardOrphansOf(child);
+        self.emit('block:invalid', block, e);
+      });
+    }).then(connectChildren);
+  };
+  return Promise.try(connectChildren);
+};
+
+/**
+ * Applies a block on top of the current tip, writing its undo record first
+ *
+ * @param {Block} block - its parent must be the tip
+ * @returns {Promise}
+ */
 Blockchain.prototype.confirm = function(block) {
+  var self = this;
   var hash = block.hash;
   var prevHash = this.prev[hash];
-  $.checkState(
-    prevHash !== NULL || prevHash === this.tip,
-    'Attempting to confirm a non-contiguous block.'
-  );
-
-  this.tip = hash;
-  var height = this.height[prevHash] + 1;
-  this.next[prevHash] = hash;
-  this.hashByHeight[height] = hash;
-  this.height[hash] = height;
-
-  for (var i = 0; i < block.transactions.length; i++) {
-    var tx = block.transactions[i];
-    var pos = posToString(tx.position);
-    // console.log('Update: pixel pos' + pos + ' set to ' + block.hash + ':' + i);
-    this.pixels[pos] = tx;
-  }
+  return Promise.try(function() {
+    $.checkState(
+      prevHash !== NULL || prevHash === self.tip,
+      'Attempting to confirm a non-contiguous block.'
+    );
+    return self.undoStore.set(BlockUndo.fromBlock(block, self.pixels));
+  }).then(function() {
+    self.tip = hash;
+    var height = self.height[prevHash] + 1;
+    self.next[prevHash] = hash;
+    self.hashByHeight[height] = hash;
+    self.height[hash] = height;
+
+    for (var i = 0; i < block.transactions.length; i++) {
+      var tx = block.transactions[i];
+      var pos = posToString(tx.position);
+      var oldTx = self.pixels[pos];
+      // console.log('Update: pixel pos' + pos + ' set to ' + block.hash + ':' + i);
+      self._setPixel(tx);
+      self._addHistory(tx, hash, height);
+      self.emit('pixel:changed', tx.position, oldTx, tx);
+    }
+    self.emit('block:connected', block);
+  });
 };
 
+/**
+ * Reverts the tip block, restoring the pixels from its undo record
+ *
+ * @param {Block} block - the tip
+ * @returns {Promise}
+ */
 Blockchain.prototype.unconfirm = function(block) {
+  var self = this;
   var hash = block.hash;
-  var prevHash = this.prev[hash];
-  $.checkState(hash === this.tip, 'Attempting to unconfirm a non-tip block');
+  return Promise.try(function() {
+    $.checkState(hash === self.tip, 'Attempting to unconfirm a non-tip block');
+    return self.undoStore.get(hash);
+  }).then(function(undo) {
+    if (!undo) {
+      throw new errors.Blockchain.MissingUndo(hash);
+    }
+    // the transaction each one replaced, which can be in the same block
+    var state = undo.getPreviousPixels();
+    var replaced = _.map(block.transactions, function(tx) {
+      var pos = posToString(tx.position);
+      var previous = state[pos];
+      state[pos] = tx;
+      return previous;
+    });
 
-  this.tip = prevHash;
-  var height = this.height[hash];
-  delete this.next[prevHash];
-  delete this.hashByHeight[height];
-  delete this.height[hash];
+    var prevHash = self.prev[hash];
+    self.tip = prevHash;
+    var height = self.height[hash];
+    delete self.next[prevHash];
+    delete self.hashByHeight[height];
+    delete self.height[hash];
 
-  for (var i = block.transactions.length - 1; i > 0; i--) {
-    var tx = block.transactions[i];
-    var prevTx = this.txStore.get(tx.input);
-    this.pixels[posToString(prevTx.position)] = prevTx;
-  }
-  delete this.pixels[posToString(block.transactions[0].position)];
+    for (var i = block.transactions.length - 1; i >= 0; i--) {
+      var tx = block.transactions[i];
+      var pos = posToString(tx.position);
+      if (replaced[i]) {
+        self._setPixel(replaced[i]);
+      } else {
+        self._deletePixel(pos);
+      }
+      self._removeHistory(tx);
+      self.emit('pixel:changed', tx.position, tx, replaced[i]);
+    }
+    self.emit('block:disconnected', block);
+  });
 };
 
 Blockchain.prototype.hasData = function(hash) {
@@ -249,29 +915,498 @@ Blockchain.prototype.hasData = function(hash) {
   return !_.isUndefined(this.work[hash]);
 };
 
-Blockchain.prototype.prune = function() {
+// PublicKey#toBuffer is always the compressed form of the key, so the ID is
+// the same whatever encoding the key was read from
+var getOwnerID = function(owner) {
+  return owner._getID().toString('hex');
+};
+
+/**
+ * Sets the transaction of the pixel at its position, keeping the indexes of
+ * the pixels up to date
+ *
+ * @param {Transaction} tx
+ */
+Blockchain.prototype._setPixel = function(tx) {
+  var pos = posToString(tx.position);
+  this._deletePixel(pos);
+  this.pixels[pos] = tx;
+  this.positionByHash[tx.hash] = pos;
+  this.grid.set(tx.position.x, tx.position.y, tx);
+  var id = getOwnerID(tx.owner);
+  if (!this.owners[id]) {
+    this.owners[id] = {};
+  }
+  this.owners[id][pos] = tx;
+};
+
+/**
+ * @param {string} pos - as returned by posToString
+ */
+Blockchain.prototype._deletePixel = function(pos) {
+  var tx = this.pixels[pos];
+  if (!tx) {
+    return;
+  }
+  delete this.pixels[pos];
+  delete this.positionByHash[tx.hash];
+  this.grid.delete(tx.position.x, tx.position.y);
+  var id = getOwnerID(tx.owner);
+  delete this.owners[id][pos];
+  if (_.isEmpty(this.owners[id])) {
+    delete this.owners[id];
+  }
+};
+
+// the length of an uncompressed public key: a 0x04 prefix, x and y
+var UNCOMPRESSED_KEY_SIZE = 65;
+
+// accepts the encodings of PublicKey and the uncompressed one, which it can't read
+var toPublicKey = function(pubkey) {
+  if (_.isString(pubkey)) {
+    pubkey = new Buffer(pubkey, 'hex');
+  }
+  if (Buffer.isBuffer(pubkey) && pubkey.length === UNCOMPRESSED_KEY_SIZE && pubkey[0] === 0x04) {
+    pubkey = {
+      x: pubkey.slice(1, 33).toString('hex'),
+      y: pubkey.slice(33).toString('hex')
+    };
+  }
+  if (!(pubkey instanceof PublicKey)) {
+    pubkey = new PublicKey(pubkey);
+  }
+  return pubkey;
+};
+
+/**
+ * @param {PublicKey|string|Buffer} pubkey - compressed or uncompressed
+ * @returns {Array.<Transaction>} the current transaction of each pixel owned
+ *   by the key
+ */
+Blockchain.prototype.getPixelsByOwner = function(pubkey) {
+  return _.values(this.owners[getOwnerID(toPublicKey(pubkey))]);
+};
+
+/**
+ * @param {PublicKey|string|Buffer} pubkey - compressed or uncompressed
+ * @returns {number} how many pixels are owned by the key
+ */
+Blockchain.prototype.countPixelsByOwner = function(pubkey) {
+  return _.size(this.owners[getOwnerID(toPublicKey(pubkey))]);
+};
+
+/**
+ * The mined pixels inside a rectangle of the map, bounds included
+ *
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1 - not less than x0
+ * @param {number} y1 - not less than y0
+ * @returns {Array.<Transaction>} the current transaction of each pixel
+ */
+Blockchain.prototype.getRegion = function(x0, y0, x1, y1) {
+  return this.grid.query(x0, y0, x1, y1);
+};
+
+/**
+ * The positions where the coinbase of the next block can be: the ones that
+ * are not mined and are next to a mined pixel
+ *
+ * @returns {Array.<Object>} the `x` and `y` of each position, ordered by `y`
+ *   and then by `x`
+ */
+Blockchain.prototype.getFrontier = function() {
   var self = this;
-  _.each(this.prev, function(key) {
-    if (!self.height[key]) {
-      delete self.prev[key];
-      delete self.work[key];
+  var frontier = {};
+  _.each(this.pixels, function(tx) {
+    _.each(neighbors(tx.position), function(pos) {
+      var key = posToString(pos);
+      if (!self.pixels[key]) {
+        frontier[key] = pos;
+      }
+    });
+  });
+  return _.values(frontier).sort(function(a, b) {
+    return a.y - b.y || a.x - b.x;
+  });
+};
+
+Blockchain.prototype._addHistory = function(tx, blockHash, height) {
+  var pos = posToString(tx.position);
+  if (!this.history[pos]) {
+    this.history[pos] = [];
+  }
+  this.history[pos].push({
+    hash: tx.hash,
+    blockHash: blockHash,
+    height: height
+  });
+};
+
+// removes the last entry of the position of the transaction, which must be it
+Blockchain.prototype._removeHistory = function(tx) {
+  var pos = posToString(tx.position);
+  var entry = this.history[pos].pop();
+  $.checkState(entry.hash === tx.hash, 'The pixel history does not match the unconfirmed transaction');
+  if (!this.history[pos].length) {
+    delete this.history[pos];
+  }
+};
+
+/**
+ * Every transaction of the best chain that set the pixel at a position, from
+ * the oldest to the newest. Since calls are processed in order, a page never
+ * mixes the history before and after a reorganization; entries are only ever
+ * added and removed at the end, so pages of old entries stay the same.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {Object=} opts
+ * @param {number=} opts.offset - how many entries to skip, defaults to 0
+ * @param {number=} opts.limit - the maximum number of entries, defaults to all
+ * @returns {Promise} an array of objects with the transaction (`tx`), the
+ *   hash of its block (`blockHash`) and the height of that block (`height`)
+ */
+Blockchain.prototype.getPixelHistory = function(x, y, opts) {
+  $.checkArgument(_.isNumber(x) && _.isNumber(y), 'x and y must be numbers');
+  opts = opts || {};
+  var offset = opts.offset || 0;
+  var limit = _.isUndefined(opts.limit) ? Infinity : opts.limit;
+  $.checkArgument(offset >= 0 && limit >= 0, 'offset and limit must not be negative');
+  return this._enqueue(function() {
+    var self = this;
+    var entries = this.history[posToString({x: x, y: y})] || [];
+    return Promise.map(entries.slice(offset, offset + limit), function(entry) {
+      return self.txStore.get(entry.hash).then(function(tx) {
+        return {
+          tx: tx,
+          blockHash: entry.blockHash,
+          height: entry.height
+        };
+      });
+    });
+  });
+};
+
+/**
+ * Removes the side-chain blocks that fork from the best chain more than
+ * `depth` blocks below the tip, with their transactions and undo records.
+ * Transactions that are also in a block that is kept are not removed.
+ *
+ * A reorganization to those blocks would have to disconnect more than `depth`
+ * blocks, so it would be rejected anyway if depth is not over maxReorgDepth.
+ * The filesystem storage doesn't reclaim the space of deleted values.
+ *
+ * @param {number=} depth - defaults to the `pruneDepth` property, or to
+ *   `maxReorgDepth` if there's none
+ * @returns {Promise} the hashes of the blocks, transactions and undo records
+ *   that were removed
+ */
+Blockchain.prototype.prune = function(depth) {
+  return this._enqueue(function() {
+    return this._prune(depth);
+  });
+};
+
+Blockchain.prototype._getForkHeight = function(hash) {
+  while (_.isUndefined(this.height[hash])) {
+    hash = this.prev[hash];
+  }
+  return this.height[hash];
+};
+
+Blockchain.prototype._prune = function(depth) {
+  var self = this;
+  if (_.isUndefined(depth)) {
+    depth = _.isUndefined(this.pruneDepth) ? this.maxReorgDepth : this.pruneDepth;
+  }
+  $.checkArgument(depth >= 0, 'depth must not be negative');
+
+  var tipHeight = this.getCurrentHeight();
+  var stale = [];
+  var kept = [];
+  _.each(_.keys(this.prev), function(hash) {
+    if (!_.isUndefined(self.height[hash])) {
+      return;
+    }
+    if (tipHeight - self._getForkHeight(hash) > depth) {
+      stale.push(hash);
+    } else {
+      kept.push(hash);
     }
   });
+
+  var report = {
+    blocks: [],
+    transactions: [],
+    undo: []
+  };
+  if (!stale.length) {
+    return Promise.resolve(report);
+  }
+
+  // side-chain blocks are stored without checking their transactions, so a
+  // stale block can repeat any transaction of the best chain (all of them are
+  // in the history) or of a block that is kept
+  var inUse = {};
+  _.each(this.history, function(entries) {
+    _.each(entries, function(entry) {
+      inUse[entry.hash] = true;
+    });
+  });
+  var markInUse = function(hash) {
+    return self.blockStore.get(hash).then(function(block) {
+      _.each(block.transactions, function(tx) {
+        inUse[tx.hash] = true;
+      });
+    });
+  };
+
+  return Promise.each(kept, markInUse).then(function() {
+    return Promise.each(stale, function(hash) {
+      return self.blockStore.get(hash).then(function(block) {
+        var transactions = _.filter(_.pluck(block.transactions, 'hash'), function(txHash) {
+          return !inUse[txHash] && !_.contains(report.transactions, txHash);
+        });
+        return self.txStore.batch(_.map(transactions, function(txHash) {
+          return {
+            type: 'delete',
+            key: txHash
+          };
+        })).then(function() {
+          report.transactions = report.transactions.concat(transactions);
+          return self.undoStore.has(hash);
+        });
+      }).then(function(hasUndo) {
+        if (hasUndo) {
+          report.undo.push(hash);
+          return self.undoStore.delete(hash);
+        }
+      }).then(function() {
+        return self.blockStore.delete(hash);
+      }).then(function() {
+        report.blocks.push(hash);
+      });
+    });
+  }).then(function() {
+    _.each(stale, function(hash) {
+      delete self.prev[hash];
+      delete self.work[hash];
+      delete self.headers[hash];
+    });
+    self.emit('prune', report);
+    return report;
+  });
 };
 
+/**
+ * A snapshot of the state of the blockchain: the chain indexes, every stored
+ * block and the transaction of each pixel (by hash). The transaction store is
+ * rebuilt from the transactions in the blocks. Orphan blocks are not included.
+ *
+ * @returns {Promise} the snapshot
+ */
 Blockchain.prototype.toObject = function() {
-  return {
-    tip: this.tip,
-    work: this.work,
-    next: this.next,
-    hashByHeight: this.hashByHeight,
-    height: this.height,
-    prev: this.prev
+  return this._enqueue(function() {
+    var self = this;
+    return this.blockStore.getAll().then(function(blocks) {
+      return {
+        version: SNAPSHOT_VERSION,
+        tip: self.tip,
+        work: _.mapValues(self.work, function(work) {
+          return work.toString('hex');
+        }),
+        next: _.clone(self.next),
+        hashByHeight: _.clone(self.hashByHeight),
+        height: _.clone(self.height),
+        prev: _.clone(self.prev),
+        pixels: _.mapValues(self.pixels, function(tx) {
+          return tx.hash;
+        }),
+        blocks: _.map(blocks, function(block) {
+          return block.toObject();
+        })
+      };
+    });
+  });
+};
+
+/**
+ * Not named toJSON, which JSON.stringify would call expecting a value
+ *
+ * @returns {Promise} the snapshot of toObject, as a JSON string
+ */
+Blockchain.prototype.toJSONString = function() {
+  return this.toObject().then(JSON.stringify);
+};
+
+/**
+ * A compact binary snapshot with the same information as toObject. Only the
+ * tip, the blocks and the pixels are written; the rest is derived from them.
+ *
+ * @returns {Promise} a Buffer
+ */
+Blockchain.prototype.toBuffer = function() {
+  return this._enqueue(function() {
+    var self = this;
+    return this.blockStore.getAll().then(function(blocks) {
+      var writer = new BufferWriter();
+      writer.writeUInt32LE(SNAPSHOT_VERSION);
+      writer.write(new Buffer(self.tip, 'hex'));
+
+      writer.writeVarintNum(blocks.length);
+      _.each(blocks, function(block) {
+        block.toBufferWriter(writer);
+      });
+
+      var positions = _.keys(self.pixels);
+      writer.writeVarintNum(positions.length);
+      _.each(positions, function(pos) {
+        var tx = self.pixels[pos];
+        writer.writeInt32LE(tx.position.x);
+        writer.writeInt32LE(tx.position.y);
+        writer.write(new Buffer(tx.hash, 'hex'));
+      });
+      return writer.toBuffer();
+    });
+  });
+};
+
+/**
+ * Derives the work and the best chain indexes from the stored blocks
+ *
+ * @param {string} tip - the hash of the last block of the best chain
+ * @param {Array.<Block>} blocks - every stored block
+ */
+Blockchain.prototype._rebuildIndexes = function(tip, blocks) {
+  var self = this;
+  _.each(blocks, function(block) {
+    self.prev[block.hash] = block.prevHash;
+  });
+  _.each(blocks, function(block) {
+    var pending = [];
+    var hash = block.hash;
+    while (_.isUndefined(self.work[hash]) && self.headers[hash]) {
+      pending.push(hash);
+      hash = self.prev[hash];
+    }
+    _.eachRight(pending, function(hash) {
+      var header = self._getHeader(hash);
+      if (self.work[self.prev[hash]]) {
+        self.work[hash] = self.work[self.prev[hash]].add(getWork(header.bits));
+      }
+    });
+  });
+
+  var chain = [];
+  for (var hash = tip; hash !== NULL && this.headers[hash]; hash = this.prev[hash]) {
+    chain.unshift(hash);
+  }
+  this.tip = tip;
+  var prevHash = NULL;
+  _.each(chain, function(hash, height) {
+    self.height[hash] = height;
+    self.hashByHeight[height] = hash;
+    self.next[prevHash] = hash;
+    prevHash = hash;
+  });
+};
+
+/**
+ * @param {Object} pixels - map from position to the hash of its transaction
+ * @returns {Promise}
+ */
+Blockchain.prototype._restorePixels = function(pixels) {
+  var self = this;
+  return Promise.each(_.keys(pixels), function(pos) {
+    var hash = pixels[pos];
+    return self.txStore.get(hash).then(function(tx) {
+      if (!tx) {
+        throw new errors.Blockchain.InvalidSnapshot('transaction ' + hash + ' for pixel ' + pos + ' is missing');
+      }
+      self._setPixel(tx);
+    });
+  });
+};
+
+/**
+ * Checks that the chain indexes and the pixels agree with the stored blocks:
+ * the tip must be reachable from the genesis block through stored blocks,
+ * heights and work must match the blocks of the best chain, and applying the
+ * transactions of those blocks must result in the same pixels.
+ *
+ * @returns {Promise} true, rejected with errors.Blockchain.InvalidSnapshot if
+ *   the state is not consistent
+ */
+Blockchain.prototype.checkConsistency = function() {
+  return this._enqueue(this._checkConsistency);
+};
+
+Blockchain.prototype._checkConsistency = function() {
+  var self = this;
+  var fail = function(reason) {
+    throw new errors.Blockchain.InvalidSnapshot(reason);
   };
+
+  var chain = [];
+  for (var hash = this.tip; hash !== NULL; hash = this.prev[hash]) {
+    if (!this.headers[hash]) {
+      fail('the tip is not connected to the genesis block, block ' + hash + ' is missing');
+    }
+    chain.unshift(hash);
+  }
+  var pixels = {};
+  var prevHash = NULL;
+  return Promise.each(chain, function(hash, height) {
+    return self.blockStore.get(hash).then(function(block) {
+      if (block.height !== height || self.height[hash] !== height || self.hashByHeight[height] !== hash) {
+        fail('the height of block ' + hash + ' does not match');
+      }
+      if (self.next[prevHash] !== hash) {
+        fail('the next block of ' + prevHash + ' does not match');
+      }
+      var work = self.work[prevHash].add(getWork(block.header.bits));
+      if (!self.work[hash] || self.work[hash].cmp(work) !== 0) {
+        fail('the work of block ' + hash + ' does not match');
+      }
+      _.each(block.transactions, function(tx) {
+        pixels[posToString(tx.position)] = tx.hash;
+      });
+      prevHash = hash;
+    });
+  }).then(function() {
+    if (_.size(self.height) !== chain.length + 1 || _.size(self.hashByHeight) !== chain.length + 1) {
+      fail('the height indexes contain blocks outside the best chain');
+    }
+    _.each(_.union(_.keys(pixels), _.keys(self.pixels)), function(pos) {
+      if (!self.pixels[pos] || self.pixels[pos].hash !== pixels[pos]) {
+        fail('the pixel at ' + pos + ' does not match the blocks');
+      }
+    });
+    return true;
+  });
 };
 
-Blockchain.prototype.toJSON = function() {
-  return JSON.stringify(this.toObject());
+/**
+ * Writes the undo records and the pixel history of the blocks in the best
+ * chain, replaying their transactions from the genesis block
+ *
+ * @returns {Promise}
+ */
+Blockchain.prototype._replayBestChain = function() {
+  var self = this;
+  var pixels = {};
+  this.history = {};
+  return Promise.each(_.range(this.getCurrentHeight() + 1), function(height) {
+    return self.blockStore.get(self.hashByHeight[height]).then(function(block) {
+      var undo = BlockUndo.fromBlock(block, pixels);
+      _.each(block.transactions, function(tx) {
+        pixels[posToString(tx.position)] = tx;
+        self._addHistory(tx, block.hash, height);
+      });
+      return self.undoStore.set(undo);
+    });
+  });
 };
 
 Blockchain.prototype.getBlockLocator = function() {
@@ -298,16 +1433,34 @@ Blockchain.prototype.getCurrentHeight = function() {
   return this.height[this.tip];
 };
 
+/**
+ * @param {string} hash
+ * @returns {Promise} the block, or undefined if it's unknown
+ */
 Blockchain.prototype.getBlock = function(hash) {
-  return this.blockStore.get(hash);
+  return this._enqueue(function() {
+    return this.blockStore.get(hash);
+  });
 };
 
+/**
+ * @param {string} hash
+ * @returns {Promise} the transaction, or undefined if it's unknown
+ */
 Blockchain.prototype.getTransaction = function(hash) {
-  return this.txStore.get(hash);
+  return this._enqueue(function() {
+    return this.txStore.get(hash);
+  });
 };
 
+/**
+ * @returns {Promise} the last block of the best chain, or undefined if there
+ *   are no blocks
+ */
 Blockchain.prototype.getTipBlock = function() {
-  return this.blockStore.get(this.tip);
+  return this._enqueue(function() {
+    return this.blockStore.get(this.tip);
+  });
 };
 
 module.exports = Blockchain;
@@ -186,5 +186,95 @@ module.exports = [{
   }, {
     name: 'SignatureMismatch',
     message: 'Block is invalid; signature mismatch for transaction {0} (block hash {1}, index {2})'
+  }, {
+    name: 'InvalidSnapshot',
+    message: 'Invalid blockchain snapshot: {0}'
+  }, {
+    name: 'ReorgTooDeep',
+    message: 'Switching to block {0} would disconnect {1} blocks, the maximum is {2}'
+  }, {
+    name: 'MissingCoinbase',
+    message: 'Block {0} does not start with a coinbase transaction'
+  }, {
+    name: 'UnexpectedCoinbase',
+    message: 'Block {0} has a coinbase transaction at index {1}, only the first transaction can be a coinbase'
+  }, {
+    name: 'MissingInput',
+    message: 'Transaction {0} transfers the pixel at position {1}, which has not been mined'
+  }, {
+    name: 'InvalidInput',
+    message: 'Transaction {0} spends {1}, but the current transaction for its pixel is {2}'
+  }, {
+    name: 'InvalidBits',
+    message: 'Block {0} has bits {1}, but the required bits are {2}'
+  }, {
+    name: 'UnknownVersion',
+    message: 'Block {0} has an unknown version: {1}'
+  }, {
+    name: 'InvalidHeight',
+    message: 'Block {0} has height {1}, but its parent is at height {2}'
+  }, {
+    name: 'InvalidProofOfWork',
+    message: 'Block {0} does not satisfy its proof of work target'
+  }, {
+    name: 'InvalidTimestamp',
+    message: 'Block {0} has a timestamp too far in the future: {1}'
+  }, {
+    name: 'TimeTooOld',
+    message: 'Block {0} has timestamp {1}, which is not after the median time past {2}'
+  }, {
+    name: 'InvalidMerkleRoot',
+    message: 'Block {0} has a merkle root that does not match its transactions'
+  }, {
+    name: 'MissingUndo',
+    message: 'Block {0} can not be disconnected, its undo record is missing'
+  }, {
+    name: 'NotATransfer',
+    message: 'Transaction {0} is a coinbase, it can only be the first transaction of a block'
+  }, {
+    name: 'InvalidColor',
+    message: 'Invalid color {0}, it needs to be between 0 and 0xffffffff (0xrrggbbaa)'
+  }, {
+    name: 'PositionMismatch',
+    message: 'Transaction {0} is at position {1}, but the transaction it spends is at {2}'
+  }, {
+    name: 'InvalidSignature',
+    message: 'Transaction {0} is not signed by the owner of the pixel it transfers'
+  }]
+}, {
+  name: 'Mempool',
+  message: 'Internal Error on Mempool {0}',
+  errors: [{
+    name: 'Coinbase',
+    message: 'Transaction {0} is a coinbase, only transfers can be added to the mempool'
+  }, {
+    name: 'AlreadyInPool',
+    message: 'Transaction {0} is already in the mempool'
+  }, {
+    name: 'Conflict',
+    message: 'Transaction {0} spends {1}, which is already spent by {2} in the mempool'
+  }]
+}, {
+  name: 'Miner',
+  message: 'Internal Error on Miner {0}',
+  errors: [{
+    name: 'WorkerExited',
+    message: 'Mining worker {0} exited ({1})'
+  }, {
+    name: 'WorkerError',
+    message: 'Mining worker {0} failed: {1}'
+  }, {
+    name: 'InvalidNonce',
+    message: 'A mining worker found nonce {0}, which does not satisfy the proof of work'
+  }]
+}, {
+  name: 'Storage',
+  message: 'Internal Error on Storage {0}',
+  errors: [{
+    name: 'UnknownBackend',
+    message: 'Unknown storage backend: {0}'
+  }, {
+    name: 'Corrupted',
+    message: 'The storage at {0} is corrupted: {1}'
   }]
 }];
@@ -0,0 +1,70 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+
+var checkPoint = function(point) {
+  $.checkArgument(point && _.isNumber(point.x) && _.isNumber(point.y), 'point needs an x and a y');
+};
+
+/**
+ * Strategies to pick where to mine a coinbase among the positions of the
+ * frontier (see Blockchain#getFrontier). Each one returns a function that
+ * takes the frontier, which is never empty, and returns one of its positions.
+ *
+ * @namespace Frontier
+ */
+module.exports = {
+
+  /**
+   * @param {Object} point - with its `x` and `y`
+   * @return {Function} picks the position closest to the point, the first one
+   *   of the frontier if there's a tie
+   */
+  nearest: function nearest(point) {
+    checkPoint(point);
+    return function(frontier) {
+      return _.min(frontier, function(pos) {
+        var dx = pos.x - point.x;
+        var dy = pos.y - point.y;
+        return dx * dx + dy * dy;
+      });
+    };
+  },
+
+  /**
+   * @param {Function=} rng - returns a number in [0, 1), defaults to
+   *   Math.random
+   * @return {Function} picks any position
+   */
+  random: function random(rng) {
+    rng = rng || Math.random;
+    return function(frontier) {
+      return frontier[Math.floor(rng() * frontier.length)];
+    };
+  },
+
+  /**
+   * @param {Object} bbox - the preferred region, with the coordinates of its
+   *   corners (`x0`, `y0`, `x1`, `y1`, bounds included)
+   * @param {Function=} strategy - picks among the positions inside the region,
+   *   defaults to the one nearest to its center
+   * @return {Function} picks a position inside the region or, if there are
+   *   none yet, the one nearest to its center, so mining grows towards it
+   */
+  region: function region(bbox, strategy) {
+    $.checkArgument(bbox.x0 <= bbox.x1 && bbox.y0 <= bbox.y1,
+      'The region must go from the lowest to the highest coordinates');
+    var towards = module.exports.nearest({
+      x: (bbox.x0 + bbox.x1) / 2,
+      y: (bbox.y0 + bbox.y1) / 2
+    });
+    strategy = strategy || towards;
+    return function(frontier) {
+      var inside = _.filter(frontier, function(pos) {
+        return pos.x >= bbox.x0 && pos.x <= bbox.x1 && pos.y >= bbox.y0 && pos.y <= bbox.y1;
+      });
+      return inside.length ? strategy(inside) : towards(frontier);
+    };
+  }
+};
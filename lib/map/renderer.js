@@ -0,0 +1,190 @@
+'use strict';
+
+var Promise = require('bluebird');
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+
+var PNG_SIGNATURE = new Buffer([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+var CRC_TABLE = _.map(_.range(256), function(n) {
+  var c = n;
+  for (var k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  return c >>> 0;
+});
+
+var crc32 = function(buffer) {
+  var crc = 0xffffffff;
+  for (var i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+var pngChunk = function(type, data) {
+  var length = new Buffer(4);
+  length.writeUInt32BE(data.length, 0);
+  var body = Buffer.concat([new Buffer(type, 'ascii'), data]);
+  var crc = new Buffer(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+};
+
+var getPixels = function(source) {
+  if (_.isArray(source)) {
+    return source;
+  }
+  $.checkArgument(_.isObject(source.pixels), 'source must be a Blockchain or an array of transactions');
+  return _.values(source.pixels);
+};
+
+var getBoundingBox = function(pixels) {
+  $.checkArgument(pixels.length > 0, 'There are no pixels to render, a bounding box is required');
+  var xs = _.map(pixels, function(tx) {
+    return tx.position.x;
+  });
+  var ys = _.map(pixels, function(tx) {
+    return tx.position.y;
+  });
+  return {
+    x0: _.min(xs),
+    y0: _.min(ys),
+    x1: _.max(xs),
+    y1: _.max(ys)
+  };
+};
+
+/**
+ * Draws the land map as images. Colors are RGBA, as in Transaction#colored
+ * (0xrrggbbaa). Rows go from the lowest y to the highest, and columns from the
+ * lowest x to the highest.
+ *
+ * @namespace Renderer
+ */
+module.exports = {
+
+  /**
+   * Draws the pixels in memory
+   *
+   * @param {Blockchain|Array.<Transaction>} source - a blockchain, to draw all
+   *   its pixels, or the transactions of some pixels (see
+   *   Blockchain#getRegion)
+   * @param {Object=} opts
+   * @param {Object=} opts.bbox - the area to draw, with the coordinates of
+   *   its corners (`x0`, `y0`, `x1`, `y1`, bounds included); defaults to the
+   *   smallest one that contains every pixel
+   * @param {number=} opts.scale - the side, in image pixels, of each pixel of
+   *   the map; defaults to 1
+   * @param {number=} opts.background - the color of the cells that are not
+   *   mined, defaults to transparent (0x00000000)
+   * @return {Object} the `width` and `height` of the image, and its RGBA
+   *   `data`, row by row
+   */
+  render: function render(source, opts) {
+    opts = opts || {};
+    var pixels = getPixels(source);
+    var bbox = opts.bbox || getBoundingBox(pixels);
+    var scale = opts.scale || 1;
+    var background = opts.background || 0;
+    $.checkArgument(bbox.x0 <= bbox.x1 && bbox.y0 <= bbox.y1,
+      'The bounding box must go from the lowest to the highest coordinates');
+    $.checkArgument(scale >= 1 && Math.floor(scale) === scale, 'scale must be a positive integer');
+    $.checkArgument(0 <= background && background <= 0xffffffff,
+      'background needs to be between 0 and 0xffffffff (0xrrggbbaa)');
+
+    var width = (bbox.x1 - bbox.x0 + 1) * scale;
+    var height = (bbox.y1 - bbox.y0 + 1) * scale;
+    var data = new Buffer(width * height * 4);
+    for (var offset = 0; offset < data.length; offset += 4) {
+      data.writeUInt32BE(background, offset);
+    }
+    _.each(pixels, function(tx) {
+      var x = tx.position.x - bbox.x0;
+      var y = tx.position.y - bbox.y0;
+      if (x < 0 || y < 0 || tx.position.x > bbox.x1 || tx.position.y > bbox.y1) {
+        return;
+      }
+      for (var row = y * scale; row < (y + 1) * scale; row++) {
+        for (var column = x * scale; column < (x + 1) * scale; column++) {
+          data.writeUInt32BE(tx.color, (row * width + column) * 4);
+        }
+      }
+    });
+    return {
+      width: width,
+      height: height,
+      data: data
+    };
+  },
+
+  /**
+   * @param {Object} image - as returned by render
+   * @return {Buffer} the image as a PNG file
+   */
+  toPNG: function toPNG(image) {
+    var header = new Buffer(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header.writeUInt8(8, 8); // bit depth
+    header.writeUInt8(6, 9); // color type: RGBA
+    header.writeUInt8(0, 10); // compression
+    header.writeUInt8(0, 11); // filter
+    header.writeUInt8(0, 12); // interlace
+
+    // each row starts with the type of its filter, none
+    var rowLength = image.width * 4;
+    var raw = new Buffer((rowLength + 1) * image.height);
+    for (var row = 0; row < image.height; row++) {
+      raw[row * (rowLength + 1)] = 0;
+      image.data.copy(raw, row * (rowLength + 1) + 1, row * rowLength, (row + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(raw)),
+      pngChunk('IEND', new Buffer(0))
+    ]);
+  },
+
+  /**
+   * PPM has no transparency, so colors are blended over black
+   *
+   * @param {Object} image - as returned by render
+   * @return {Buffer} the image as a binary PPM (P6) file
+   */
+  toPPM: function toPPM(image) {
+    var header = new Buffer('P6\n' + image.width + ' ' + image.height + '\n255\n', 'ascii');
+    var body = new Buffer(image.width * image.height * 3);
+    for (var i = 0; i < image.width * image.height; i++) {
+      var alpha = image.data[i * 4 + 3];
+      for (var channel = 0; channel < 3; channel++) {
+        body[i * 3 + channel] = Math.round(image.data[i * 4 + channel] * alpha / 255);
+      }
+    }
+    return Buffer.concat([header, body]);
+  },
+
+  /**
+   * Draws the pixels to a file
+   *
+   * @param {Blockchain|Array.<Transaction>} source - see render
+   * @param {string} filename
+   * @param {Object=} opts - the options of render, and:
+   * @param {string=} opts.format - 'png' or 'ppm', defaults to the extension
+   *   of the file name
+   * @return {Promise}
+   */
+  writeFile: function writeFile(source, filename, opts) {
+    opts = opts || {};
+    var format = opts.format || path.extname(filename).substr(1).toLowerCase();
+    $.checkArgument(format === 'png' || format === 'ppm', 'Unknown image format: ' + format);
+    var image = module.exports.render(source, opts);
+    var file = format === 'png' ? module.exports.toPNG(image) : module.exports.toPPM(image);
+    return Promise.promisify(fs.writeFile)(filename, file);
+  }
+};
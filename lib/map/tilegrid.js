@@ -0,0 +1,153 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+
+// default width and height of a tile, in pixels
+var TILE_SIZE = 64;
+
+var checkCoordinates = function(x, y) {
+  $.checkArgument(_.isNumber(x) && _.isNumber(y), 'x and y must be numbers');
+};
+
+/**
+ * A spatial index of values at integer coordinates. The plane is split in
+ * square tiles, and only tiles with at least one value are kept, so finding
+ * the values in a rectangle only looks at the tiles that overlap it.
+ *
+ * @param {Object=} opts
+ * @param {number=} opts.tileSize - defaults to TILE_SIZE
+ * @constructor
+ */
+function TileGrid(opts) {
+  if (!(this instanceof TileGrid)) {
+    return new TileGrid(opts);
+  }
+  opts = opts || {};
+  this.tileSize = opts.tileSize || TILE_SIZE;
+  $.checkArgument(this.tileSize >= 1, 'opts.tileSize must be positive');
+  this.tiles = {};
+  this.size = 0;
+}
+
+TileGrid.TILE_SIZE = TILE_SIZE;
+
+TileGrid.prototype._getTileKey = function(tileX, tileY) {
+  return tileX + '_' + tileY;
+};
+
+TileGrid.prototype._getTile = function(x, y, create) {
+  var tileX = Math.floor(x / this.tileSize);
+  var tileY = Math.floor(y / this.tileSize);
+  var key = this._getTileKey(tileX, tileY);
+  if (!this.tiles[key] && create) {
+    this.tiles[key] = {
+      x: tileX,
+      y: tileY,
+      values: {}
+    };
+  }
+  return this.tiles[key];
+};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @param {*} value - replaces the value at that position, if any
+ */
+TileGrid.prototype.set = function(x, y, value) {
+  checkCoordinates(x, y);
+  var tile = this._getTile(x, y, true);
+  var key = x + '_' + y;
+  if (!_.has(tile.values, key)) {
+    this.size += 1;
+  }
+  tile.values[key] = {
+    x: x,
+    y: y,
+    value: value
+  };
+};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ * @return {*} the value at that position, or undefined
+ */
+TileGrid.prototype.get = function(x, y) {
+  checkCoordinates(x, y);
+  var tile = this._getTile(x, y);
+  var entry = tile && tile.values[x + '_' + y];
+  return entry && entry.value;
+};
+
+/**
+ * @param {number} x
+ * @param {number} y
+ */
+TileGrid.prototype.delete = function(x, y) {
+  checkCoordinates(x, y);
+  var tile = this._getTile(x, y);
+  var key = x + '_' + y;
+  if (!tile || !_.has(tile.values, key)) {
+    return;
+  }
+  delete tile.values[key];
+  this.size -= 1;
+  if (_.isEmpty(tile.values)) {
+    delete this.tiles[this._getTileKey(tile.x, tile.y)];
+  }
+};
+
+/**
+ * The values inside a rectangle, bounds included
+ *
+ * @param {number} x0
+ * @param {number} y0
+ * @param {number} x1 - not less than x0
+ * @param {number} y1 - not less than y0
+ * @return {Array} the values, ordered by tile
+ */
+TileGrid.prototype.query = function(x0, y0, x1, y1) {
+  checkCoordinates(x0, y0);
+  checkCoordinates(x1, y1);
+  $.checkArgument(x0 <= x1 && y0 <= y1, 'The rectangle must go from the lowest to the highest coordinates');
+
+  var self = this;
+  var tileX0 = Math.floor(x0 / this.tileSize);
+  var tileY0 = Math.floor(y0 / this.tileSize);
+  var tileX1 = Math.floor(x1 / this.tileSize);
+  var tileY1 = Math.floor(y1 / this.tileSize);
+
+  var tiles = [];
+  if ((tileX1 - tileX0 + 1) * (tileY1 - tileY0 + 1) > _.size(this.tiles)) {
+    tiles = _.filter(this.tiles, function(tile) {
+      return tile.x >= tileX0 && tile.x <= tileX1 && tile.y >= tileY0 && tile.y <= tileY1;
+    });
+  } else {
+    for (var tileX = tileX0; tileX <= tileX1; tileX++) {
+      for (var tileY = tileY0; tileY <= tileY1; tileY++) {
+        var tile = this.tiles[this._getTileKey(tileX, tileY)];
+        if (tile) {
+          tiles.push(tile);
+        }
+      }
+    }
+  }
+
+  var result = [];
+  _.each(tiles, function(tile) {
+    var left = tile.x * self.tileSize;
+    var top = tile.y * self.tileSize;
+    var inside = left >= x0 && top >= y0 &&
+      left + self.tileSize - 1 <= x1 && top + self.tileSize - 1 <= y1;
+    _.each(tile.values, function(entry) {
+      if (inside || (entry.x >= x0 && entry.x <= x1 && entry.y >= y0 && entry.y <= y1)) {
+        result.push(entry.value);
+      }
+    });
+  });
+  return result;
+};
+
+module.exports = TileGrid;
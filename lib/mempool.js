@@ -0,0 +1,241 @@
+'use strict';
+
+var events = require('events');
+var util = require('util');
+var _ = require('lodash');
+
+var $ = require('./util/preconditions');
+var Transaction = require('./transaction');
+
+var errors = require('./errors');
+
+var posToString = function(pos) {
+  return pos.x + '_' + pos.y;
+};
+
+/**
+ * Keeps the transfers that are waiting to be mined. A transfer is accepted if
+ * it spends the current transaction of its pixel, either in the blockchain or
+ * in the pool (so chains of transfers of the same pixel can wait together),
+ * and it's signed by the owner of that transaction. Only one transfer can
+ * spend each transaction.
+ *
+ * The pool follows the blockchain: transfers included in a new block leave
+ * the pool, and the ones that conflict with them are evicted, together with
+ * the transfers that depend on them. After a reorganization, the transfers of
+ * the disconnected blocks are added back, and the whole pool is checked
+ * against the new state of the pixels.
+ *
+ * Events: `transaction` (tx) when a transfer is added, and `evicted` (tx)
+ * when one is removed because it's no longer valid.
+ *
+ * @param {Blockchain} blockchain
+ * @constructor
+ */
+function Mempool(blockchain) {
+  $.checkArgument(blockchain, 'blockchain is required');
+  events.EventEmitter.call(this);
+  this.blockchain = blockchain;
+  this.transactions = {};
+  this.order = [];
+  // hash of the transaction in the pool that spends each transaction
+  this.spentBy = {};
+  // hash of the last transaction in the pool for each position
+  this.byPosition = {};
+
+  this.reorganizing = false;
+  this.disconnected = [];
+  this.reconfirmed = {};
+
+  this._subscriptions = {
+    'block:connected': this._onBlockConnected.bind(this),
+    'block:disconnected': this._onBlockDisconnected.bind(this),
+    'tip': this._onTip.bind(this)
+  };
+  _.each(this._subscriptions, function(listener, name) {
+    blockchain.on(name, listener);
+  });
+}
+util.inherits(Mempool, events.EventEmitter);
+
+/**
+ * Stops following the blockchain
+ */
+Mempool.prototype.close = function() {
+  var self = this;
+  _.each(this._subscriptions, function(listener, name) {
+    self.blockchain.removeListener(name, listener);
+  });
+};
+
+/**
+ * @param {string} hash
+ * @return {boolean}
+ */
+Mempool.prototype.has = function(hash) {
+  return _.has(this.transactions, hash);
+};
+
+/**
+ * @param {string} hash
+ * @return {Transaction|undefined}
+ */
+Mempool.prototype.get = function(hash) {
+  return this.transactions[hash];
+};
+
+/**
+ * @return {Array.<Transaction>} every transaction in the pool, each one after
+ *   the transaction it spends if that one is in the pool too
+ */
+Mempool.prototype.getTransactions = function() {
+  var self = this;
+  return _.map(this.order, function(hash) {
+    return self.transactions[hash];
+  });
+};
+
+/**
+ * Checks that a transfer can be added to the pool, throws otherwise. Besides
+ * the checks of Blockchain#checkTransaction, the transaction it spends can't
+ * be spent by another one in the pool.
+ *
+ * @param {Transaction} tx
+ * @return {boolean} true
+ */
+Mempool.prototype.checkTransaction = function(tx) {
+  $.checkArgument(tx instanceof Transaction, 'tx is a required Transaction');
+  if (tx.isCoinbase()) {
+    throw new errors.Mempool.Coinbase(tx.hash);
+  }
+  if (this.has(tx.hash)) {
+    throw new errors.Mempool.AlreadyInPool(tx.hash);
+  }
+  var input = tx.input.toString('hex');
+  if (this.spentBy[input]) {
+    throw new errors.Mempool.Conflict(tx.hash, input, this.spentBy[input]);
+  }
+  var pending = {};
+  var pos = posToString(tx.position);
+  pending[pos] = this.transactions[this.byPosition[pos]];
+  this.blockchain.checkTransaction(tx, pending);
+  return true;
+};
+
+/**
+ * @param {Transaction} tx
+ * @return {Transaction} the transaction, throws if it's not valid
+ */
+Mempool.prototype.add = function(tx) {
+  this.checkTransaction(tx);
+  this._insert(tx);
+  this.emit('transaction', tx);
+  return tx;
+};
+
+Mempool.prototype._insert = function(tx) {
+  this.transactions[tx.hash] = tx;
+  this.order.push(tx.hash);
+  this.spentBy[tx.input.toString('hex')] = tx.hash;
+  this.byPosition[posToString(tx.position)] = tx.hash;
+};
+
+// removes a single transaction, the ones that spend it are left in the pool
+Mempool.prototype._delete = function(tx) {
+  var input = tx.input.toString('hex');
+  var pos = posToString(tx.position);
+  delete this.transactions[tx.hash];
+  this.order = _.without(this.order, tx.hash);
+  delete this.spentBy[input];
+  if (this.byPosition[pos] === tx.hash) {
+    if (this.has(input)) {
+      this.byPosition[pos] = input;
+    } else {
+      delete this.byPosition[pos];
+    }
+  }
+};
+
+/**
+ * Removes a transaction and the transactions that depend on it
+ *
+ * @param {string} hash
+ * @return {Array.<Transaction>} the removed transactions, starting with the
+ *   last one that depends on it
+ */
+Mempool.prototype.remove = function(hash) {
+  var removed = [];
+  for (var next = hash; this.has(next); next = this.spentBy[next]) {
+    removed.unshift(this.transactions[next]);
+  }
+  _.each(removed, this._delete.bind(this));
+  return removed;
+};
+
+Mempool.prototype._evict = function(hash) {
+  var self = this;
+  _.each(this.remove(hash), function(tx) {
+    self.emit('evicted', tx);
+  });
+};
+
+Mempool.prototype._onBlockConnected = function(block) {
+  var self = this;
+  _.each(block.transactions, function(tx) {
+    if (tx.isCoinbase()) {
+      return;
+    }
+    if (self.reorganizing) {
+      self.reconfirmed[tx.hash] = true;
+      return;
+    }
+    var input = tx.input.toString('hex');
+    if (self.has(tx.hash)) {
+      self._delete(tx);
+    } else if (self.spentBy[input]) {
+      self._evict(self.spentBy[input]);
+    }
+  });
+};
+
+Mempool.prototype._onBlockDisconnected = function(block) {
+  this.reorganizing = true;
+  // blocks are disconnected from the tip, so older blocks go first
+  this.disconnected = _.filter(block.transactions, function(tx) {
+    return !tx.isCoinbase();
+  }).concat(this.disconnected);
+};
+
+Mempool.prototype._onTip = function() {
+  if (!this.reorganizing) {
+    return;
+  }
+  var self = this;
+  var reconfirmed = this.reconfirmed;
+  var resurrected = _.filter(this.disconnected, function(tx) {
+    return !reconfirmed[tx.hash];
+  });
+  var pending = this.getTransactions();
+  var wasPending = _.object(this.order, _.map(this.order, _.constant(true)));
+  this.reorganizing = false;
+  this.disconnected = [];
+  this.reconfirmed = {};
+  this.transactions = {};
+  this.order = [];
+  this.spentBy = {};
+  this.byPosition = {};
+
+  _.each(resurrected.concat(pending), function(tx) {
+    try {
+      self.checkTransaction(tx);
+    } catch (e) {
+      if (wasPending[tx.hash] && !reconfirmed[tx.hash]) {
+        self.emit('evicted', tx);
+      }
+      return;
+    }
+    self._insert(tx);
+  });
+};
+
+module.exports = Mempool;
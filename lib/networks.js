@@ -62,6 +62,8 @@ function get(arg, keys) {
  * @param {Number} data.networkMagic - The network magic number
  * @param {Number} data.port - The network port
  * @param {Array}  data.dnsSeeds - An array of dns seeds
+ * @param {Number} data.targetSpacing - The expected number of seconds between blocks
+ * @param {Number} data.retargetWindow - The number of blocks between difficulty adjustments
  * @return Network
  */
 function addNetwork(data) {
@@ -78,7 +80,9 @@ function addNetwork(data) {
     xprivkey: data.xprivkey,
     networkMagic: BufferUtil.integerAsBuffer(data.networkMagic),
     port: data.port,
-    dnsSeeds: data.dnsSeeds
+    dnsSeeds: data.dnsSeeds,
+    targetSpacing: data.targetSpacing,
+    retargetWindow: data.retargetWindow
   });
 
   _.each(network, function(value) {
@@ -129,7 +133,9 @@ addNetwork({
     'seed.bitcoinstats.com',
     'seed.bitnodes.io',
     'bitseed.xf2.org'
-  ]
+  ],
+  targetSpacing: 10 * 60,
+  retargetWindow: 2016
 });
 
 addNetwork({
@@ -148,6 +154,8 @@ addNetwork({
     'testnet-seed.alexykot.me',
     'testnet-seed.bitcoin.schildbach.de'
   ],
+  targetSpacing: 10 * 60,
+  retargetWindow: 2016
 });
 
 /**
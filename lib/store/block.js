@@ -1,15 +1,19 @@
-var Promise = require('bluebird');
+'use strict';
 
-function BlockStore() {
-  this.block = {};
-}
+var util = require('util');
 
-BlockStore.prototype.get = function(hash) {
-  return this.block[hash];
-};
+var Block = require('../block/block');
+var Store = require('./store');
 
-BlockStore.prototype.set = function(block) {
-  return this.block[block.hash] = block;
-};
+/**
+ * Keeps blocks by hash (see Store)
+ *
+ * @param {Object=} storage - defaults to a new MemoryStorage
+ * @constructor
+ */
+function BlockStore(storage) {
+  Store.call(this, storage, Block.fromBuffer);
+}
+util.inherits(BlockStore, Store);
 
 module.exports = BlockStore;
@@ -0,0 +1,220 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+
+var $ = require('../util/preconditions');
+var BufferUtil = require('../util/buffer');
+var BufferReader = require('../encoding/bufferreader');
+var BufferWriter = require('../encoding/bufferwriter');
+var errors = require('../errors');
+
+// a new data file is started once the current one grows past this size
+var MAX_FILE_SIZE = 128 * 1024 * 1024;
+
+var INDEX_FILE = 'index.dat';
+
+// kinds of index records
+var SET = 1;
+var DELETE = 0;
+
+var dataFileName = function(prefix, number) {
+  var digits = '0000' + number;
+  return prefix + digits.substr(digits.length - 5) + '.dat';
+};
+
+var makeDirectory = function(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+  makeDirectory(path.dirname(dir));
+  fs.mkdirSync(dir);
+};
+
+/**
+ * Keeps values in a directory, in append-only data files (blk00000.dat,
+ * blk00001.dat, ... with the default prefix) plus an append-only index file.
+ * Every write appends the value to the current data file and then a record to
+ * the index with the key and the location of the value; deleting a key
+ * appends a record that marks it as deleted. The index is read into memory
+ * when the storage is opened.
+ *
+ * A record that was only partially written (for example, because the process
+ * died) is discarded when the index is read.
+ *
+ * Implements the same interface as MemoryStorage.
+ *
+ * @param {string} dir - created if it does not exist
+ * @param {Object=} opts
+ * @param {number=} opts.maxFileSize - defaults to MAX_FILE_SIZE
+ * @param {string=} opts.prefix - for the names of the data files, defaults
+ *   to 'blk'
+ * @constructor
+ */
+function FilesystemStorage(dir, opts) {
+  $.checkArgument(_.isString(dir), 'dir must be a string');
+  opts = opts || {};
+  this.dir = dir;
+  this.maxFileSize = opts.maxFileSize || MAX_FILE_SIZE;
+  this.prefix = opts.prefix || 'blk';
+  this.locations = {};
+  this.descriptors = {};
+  this.file = 0;
+
+  makeDirectory(dir);
+  this._readIndex();
+  this.fileSize = this._getFileSize(this.file);
+}
+
+FilesystemStorage.MAX_FILE_SIZE = MAX_FILE_SIZE;
+FilesystemStorage.INDEX_FILE = INDEX_FILE;
+
+FilesystemStorage.prototype._readIndex = function() {
+  var indexPath = path.join(this.dir, INDEX_FILE);
+  var index = fs.existsSync(indexPath) ? fs.readFileSync(indexPath) : new Buffer(0);
+  var position = 0;
+  while (index.length - position >= 4) {
+    var length = index.readUInt32LE(position);
+    if (index.length - position - 4 < length) {
+      break;
+    }
+    this._applyRecord(new BufferReader(index.slice(position + 4, position + 4 + length)));
+    position += 4 + length;
+  }
+  if (position < index.length) {
+    fs.truncateSync(indexPath, position);
+  }
+  this.index = fs.openSync(indexPath, 'a');
+};
+
+FilesystemStorage.prototype._applyRecord = function(reader) {
+  var type = reader.readUInt8();
+  var key = reader.read(reader.readVarintNum()).toString();
+  if (type === SET) {
+    var location = {
+      file: reader.readUInt32LE(),
+      offset: reader.readUInt32LE(),
+      length: reader.readUInt32LE()
+    };
+    this.locations[key] = location;
+    this.file = Math.max(this.file, location.file);
+  } else if (type === DELETE) {
+    delete this.locations[key];
+  } else {
+    throw new errors.Storage.Corrupted(this.dir, 'unknown index record type ' + type);
+  }
+};
+
+FilesystemStorage.prototype._appendRecord = function(type, key, location) {
+  var keyBuffer = new Buffer(key);
+  var writer = new BufferWriter();
+  writer.writeUInt8(type);
+  writer.writeVarintNum(keyBuffer.length);
+  writer.write(keyBuffer);
+  if (type === SET) {
+    writer.writeUInt32LE(location.file);
+    writer.writeUInt32LE(location.offset);
+    writer.writeUInt32LE(location.length);
+  }
+  var record = writer.toBuffer();
+  var length = new Buffer(4);
+  length.writeUInt32LE(record.length, 0);
+  var buffer = Buffer.concat([length, record]);
+  fs.writeSync(this.index, buffer, 0, buffer.length, null);
+};
+
+FilesystemStorage.prototype._getFileSize = function(file) {
+  var filePath = path.join(this.dir, dataFileName(this.prefix, file));
+  return fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+};
+
+FilesystemStorage.prototype._getDescriptor = function(file) {
+  if (_.isUndefined(this.descriptors[file])) {
+    this.descriptors[file] = fs.openSync(path.join(this.dir, dataFileName(this.prefix, file)), 'a+');
+  }
+  return this.descriptors[file];
+};
+
+/**
+ * @param {string} key
+ * @return {Buffer|undefined}
+ */
+FilesystemStorage.prototype.get = function(key) {
+  if (!this.has(key)) {
+    return undefined;
+  }
+  var location = this.locations[key];
+  var value = new Buffer(location.length);
+  var read = fs.readSync(this._getDescriptor(location.file), value, 0, location.length, location.offset);
+  if (read !== location.length) {
+    throw new errors.Storage.Corrupted(this.dir, 'the value of ' + key + ' is truncated');
+  }
+  return value;
+};
+
+/**
+ * @param {string} key
+ * @param {Buffer} value
+ */
+FilesystemStorage.prototype.set = function(key, value) {
+  $.checkArgument(_.isString(key), 'key must be a string');
+  $.checkArgument(BufferUtil.isBuffer(value), 'value must be a buffer');
+  if (this.fileSize > 0 && this.fileSize + value.length > this.maxFileSize) {
+    this.file += 1;
+    this.fileSize = this._getFileSize(this.file);
+  }
+  var location = {
+    file: this.file,
+    offset: this.fileSize,
+    length: value.length
+  };
+  fs.writeSync(this._getDescriptor(this.file), value, 0, value.length, null);
+  this.fileSize += value.length;
+  this._appendRecord(SET, key, location);
+  this.locations[key] = location;
+};
+
+/**
+ * @param {string} key
+ * @return {boolean}
+ */
+FilesystemStorage.prototype.has = function(key) {
+  return _.has(this.locations, key);
+};
+
+/**
+ * The space used by the value is not reclaimed.
+ *
+ * @param {string} key
+ */
+FilesystemStorage.prototype.delete = function(key) {
+  if (!this.has(key)) {
+    return;
+  }
+  this._appendRecord(DELETE, key);
+  delete this.locations[key];
+};
+
+/**
+ * @return {Array.<string>}
+ */
+FilesystemStorage.prototype.keys = function() {
+  return _.keys(this.locations);
+};
+
+/**
+ * Closes the files; the storage can't be used afterwards
+ */
+FilesystemStorage.prototype.close = function() {
+  _.each(this.descriptors, function(descriptor) {
+    fs.closeSync(descriptor);
+  });
+  this.descriptors = {};
+  if (!_.isUndefined(this.index)) {
+    fs.closeSync(this.index);
+    this.index = undefined;
+  }
+};
+
+module.exports = FilesystemStorage;
@@ -0,0 +1,68 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('../util/preconditions');
+var BufferUtil = require('../util/buffer');
+
+/**
+ * Keeps values in memory; nothing survives a restart.
+ *
+ * This is the reference for the interface that BlockStore and
+ * TransactionStore expect from a storage adapter: values are Buffers indexed
+ * by string keys, and `keys` lists them in the order they were first set.
+ * Adapters for asynchronous backends can return promises from any method.
+ * They can also have a `batch` method that takes a list of `{type: 'set',
+ * key, value}` and `{type: 'delete', key}` changes and applies them at once.
+ *
+ * @constructor
+ */
+function MemoryStorage() {
+  this.values = {};
+}
+
+/**
+ * @param {string} key
+ * @return {Buffer|undefined}
+ */
+MemoryStorage.prototype.get = function(key) {
+  return this.values[key];
+};
+
+/**
+ * @param {string} key
+ * @param {Buffer} value
+ */
+MemoryStorage.prototype.set = function(key, value) {
+  $.checkArgument(_.isString(key), 'key must be a string');
+  $.checkArgument(BufferUtil.isBuffer(value), 'value must be a buffer');
+  this.values[key] = value;
+};
+
+/**
+ * @param {string} key
+ * @return {boolean}
+ */
+MemoryStorage.prototype.has = function(key) {
+  return _.has(this.values, key);
+};
+
+/**
+ * @param {string} key
+ */
+MemoryStorage.prototype.delete = function(key) {
+  delete this.values[key];
+};
+
+/**
+ * @return {Array.<string>}
+ */
+MemoryStorage.prototype.keys = function() {
+  return _.keys(this.values);
+};
+
+/**
+ * Releases the resources held by the storage
+ */
+MemoryStorage.prototype.close = function() {};
+
+module.exports = MemoryStorage;
@@ -0,0 +1,129 @@
+'use strict';
+
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var MemoryStorage = require('./memory');
+
+/**
+ * Keeps objects by their hash, serialized with `toBuffer`, in a storage
+ * adapter (see MemoryStorage). Every method returns a promise.
+ *
+ * @param {Object=} storage - defaults to a new MemoryStorage
+ * @param {Function} fromBuffer - deserializes a stored object
+ * @constructor
+ */
+function Store(storage, fromBuffer) {
+  this.storage = storage || new MemoryStorage();
+  this.fromBuffer = fromBuffer;
+}
+
+Store.prototype._call = function(method) {
+  var storage = this.storage;
+  var args = Array.prototype.slice.call(arguments, 1);
+  return Promise.try(function() {
+    return storage[method].apply(storage, args);
+  });
+};
+
+/**
+ * @param {string} hash
+ * @return {Promise} the object, or undefined if it's not stored
+ */
+Store.prototype.get = function(hash) {
+  var self = this;
+  return this._call('get', hash).then(function(buffer) {
+    return buffer ? self.fromBuffer(buffer) : undefined;
+  });
+};
+
+/**
+ * @param {string} hash
+ * @return {Promise} a boolean
+ */
+Store.prototype.has = function(hash) {
+  return this._call('has', hash);
+};
+
+/**
+ * Objects that are already stored are not written again
+ *
+ * @param {Object} value
+ * @return {Promise} the value
+ */
+Store.prototype.set = function(value) {
+  var self = this;
+  return this.has(value.hash).then(function(stored) {
+    if (!stored) {
+      return self._call('set', value.hash, value.toBuffer());
+    }
+  }).return(value);
+};
+
+/**
+ * @param {string} hash
+ * @return {Promise}
+ */
+Store.prototype.delete = function(hash) {
+  return this._call('delete', hash);
+};
+
+/**
+ * Applies several changes in order. If the storage adapter has a `batch`
+ * method, the changes are passed to it in one call (with serialized values),
+ * so that it can apply them atomically.
+ *
+ * @param {Array} operations - objects with `type` 'set' and a `value`, or
+ *   `type` 'delete' and a `key` (the hash to delete)
+ * @return {Promise}
+ */
+Store.prototype.batch = function(operations) {
+  var self = this;
+  if (_.isFunction(this.storage.batch)) {
+    return this._call('batch', _.map(operations, function(operation) {
+      if (operation.type === 'set') {
+        return {
+          type: 'set',
+          key: operation.value.hash,
+          value: operation.value.toBuffer()
+        };
+      }
+      return operation;
+    }));
+  }
+  return Promise.each(operations, function(operation) {
+    if (operation.type === 'set') {
+      return self.set(operation.value);
+    }
+    return self.delete(operation.key);
+  }).return(undefined);
+};
+
+/**
+ * @return {Promise} the hashes of every stored object, in the order they were
+ *   stored
+ */
+Store.prototype.keys = function() {
+  return this._call('keys');
+};
+
+/**
+ * @return {Promise} every stored object, in the order they were stored
+ */
+Store.prototype.getAll = function() {
+  var self = this;
+  return this.keys().then(function(keys) {
+    return Promise.map(keys, function(hash) {
+      return self.get(hash);
+    });
+  });
+};
+
+/**
+ * @return {Promise}
+ */
+Store.prototype.close = function() {
+  return this._call('close');
+};
+
+module.exports = Store;
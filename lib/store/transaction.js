@@ -1,15 +1,21 @@
-var Promise = require('bluebird');
+'use strict';
 
-function TransactionStore() {
-  this.txs = {};
-}
+var util = require('util');
 
-TransactionStore.prototype.get = function(hash) {
-  return this.txs[hash];
-};
+var Transaction = require('../transaction/transaction');
+var Store = require('./store');
 
-TransactionStore.prototype.set = function(tx) {
-  return this.txs[tx.hash] = tx;
-};
+/**
+ * Keeps transactions by hash (see Store)
+ *
+ * @param {Object=} storage - defaults to a new MemoryStorage
+ * @constructor
+ */
+function TransactionStore(storage) {
+  Store.call(this, storage, function(buffer) {
+    return new Transaction(buffer);
+  });
+}
+util.inherits(TransactionStore, Store);
 
 module.exports = TransactionStore;
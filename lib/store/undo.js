@@ -0,0 +1,19 @@
+'use strict';
+
+var util = require('util');
+
+var BlockUndo = require('../block/undo');
+var Store = require('./store');
+
+/**
+ * Keeps the undo records of blocks, by block hash (see Store)
+ *
+ * @param {Object=} storage - defaults to a new MemoryStorage
+ * @constructor
+ */
+function UndoStore(storage) {
+  Store.call(this, storage, BlockUndo.fromBuffer);
+}
+util.inherits(UndoStore, Store);
+
+module.exports = UndoStore;
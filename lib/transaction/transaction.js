@@ -359,7 +359,7 @@ Transaction.prototype.isValidSignature = function(signature) {
 };
 
 Transaction.prototype.isCoinbase = function() {
-  return this.input === BufferUtil.NULL_HASH;
+  return BufferUtil.equals(this.input, BufferUtil.NULL_HASH);
 };
 
 // returns first adjacent coord found, or false if none is adjacent
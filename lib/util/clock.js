@@ -0,0 +1,58 @@
+'use strict';
+
+var _ = require('lodash');
+var $ = require('./preconditions');
+
+/**
+ * A clock is a function that takes no arguments and returns the current time
+ * as a number of seconds since the UNIX epoch. Objects that need the current
+ * time (BlockHeader, Blockchain, Miner) accept one, so that they can be driven
+ * deterministically or follow a network-adjusted time.
+ *
+ * @namespace Clock
+ */
+module.exports = {
+  /**
+   * The local wall clock
+   *
+   * @return {number}
+   */
+  system: function system() {
+    return Math.floor(new Date().getTime() / 1000);
+  },
+
+  /**
+   * Creates a clock that always returns the same time
+   *
+   * @param {number} time
+   * @return {Function}
+   */
+  fixed: function fixed(time) {
+    $.checkArgument(_.isNumber(time), 'time must be a number');
+    return function() {
+      return time;
+    };
+  },
+
+  /**
+   * Creates a clock that is a number of seconds ahead (or behind, if negative)
+   * of another clock. The offset can be changed later through `setOffset`, for
+   * example when the median offset reported by peers changes.
+   *
+   * @param {Function} clock - the clock to adjust
+   * @param {number=} offset - in seconds, defaults to 0
+   * @return {Function}
+   */
+  adjusted: function adjusted(clock, offset) {
+    $.checkArgument(_.isFunction(clock), 'clock must be a function');
+    var adjustedClock = function() {
+      return clock() + adjustedClock.offset;
+    };
+    adjustedClock.setOffset = function(offset) {
+      $.checkArgument(_.isNumber(offset), 'offset must be a number');
+      adjustedClock.offset = offset;
+    };
+    adjustedClock.setOffset(offset || 0);
+    return adjustedClock;
+  }
+};
@@ -6,6 +6,7 @@ var BufferReader = bitcore.encoding.BufferReader;
 var BufferWriter = bitcore.encoding.BufferWriter;
 var _ = bitcore.deps._;
 var BN = bitcore.crypto.BN;
+var Clock = bitcore.util.clock;
 
 var BlockHeader = bitcore.BlockHeader;
 var should = require('chai').should();
@@ -193,6 +194,29 @@ describe('BlockHeader', function() {
       valid.should.equal(false);
     });
 
+    it('should use the provided clock', function() {
+      var y = BlockHeader(bh);
+      y.validTimestamp(Clock.fixed(time - BlockHeader.Constants.MAX_TIME_OFFSET)).should.equal(true);
+      y.validTimestamp(Clock.fixed(time - BlockHeader.Constants.MAX_TIME_OFFSET - 1)).should.equal(false);
+    });
+
+  });
+
+  describe('#validVersion', function() {
+
+    it('should validate the current version as true', function() {
+      var x = BlockHeader(bh);
+      x.version = BlockHeader.Constants.CURRENT_VERSION;
+      x.validVersion().should.equal(true);
+    });
+
+    it('should validate an unknown version as false', function() {
+      var x = BlockHeader(bh);
+      x.validVersion().should.equal(false);
+      x.version = 0;
+      x.validVersion().should.equal(false);
+    });
+
   });
 
   describe('#validProofOfWork', function() {
@@ -212,6 +236,98 @@ describe('BlockHeader', function() {
 
   });
 
+  describe('nonce and time', function() {
+
+    it('changes the id when the nonce is increased', function() {
+      var header = new BlockHeader(bh);
+      var id = header.id;
+      header.increaseNonce();
+      header.nonce.should.equal(bh.nonce + 1);
+      header.id.should.not.equal(id);
+    });
+
+    it('can not increase the nonce past MAX_NONCE', function() {
+      var header = new BlockHeader(bh);
+      header.setNonce(BlockHeader.Constants.MAX_NONCE);
+      (function() {
+        header.increaseNonce();
+      }).should.throw('The nonce can not be increased past MAX_NONCE');
+      header.nonce.should.equal(BlockHeader.Constants.MAX_NONCE);
+    });
+
+    it('sets the nonce', function() {
+      var header = new BlockHeader(bh);
+      header.setNonce(bh.nonce - 1);
+      header.validProofOfWork().should.equal(false);
+      header.setNonce(bh.nonce);
+      header.validProofOfWork().should.equal(true);
+      (function() {
+        header.setNonce(BlockHeader.Constants.MAX_NONCE + 1);
+      }).should.throw('nonce must be a 32 bit unsigned integer');
+    });
+
+    it('sets the time', function() {
+      var header = new BlockHeader(bh);
+      var id = header.id;
+      header.setTime(bh.time + 1);
+      header.time.should.equal(bh.time + 1);
+      BlockHeader.fromBuffer(header.toBuffer()).time.should.equal(bh.time + 1);
+      header.id.should.not.equal(id);
+    });
+
+  });
+
+  describe('#findNonce', function() {
+
+    var genesis = bitcore.Block.genesis.header;
+
+    it('finds the first nonce that satisfies the proof of work', function() {
+      genesis.findNonce(genesis.nonce - 1000, genesis.nonce).should.equal(genesis.nonce);
+      genesis.findNonce(genesis.nonce - 10, genesis.nonce + 10).should.equal(genesis.nonce);
+    });
+
+    it('agrees with validProofOfWork', function() {
+      var header = new BlockHeader(bh);
+      header.bits = 0x2000ffff;
+      var nonce = header.findNonce(0, 1000);
+      header.setNonce(nonce);
+      header.validProofOfWork().should.equal(true);
+      for (var i = 0; i < nonce; i++) {
+        header.setNonce(i);
+        header.validProofOfWork().should.equal(false);
+      }
+    });
+
+    it('does not change the header', function() {
+      var header = new BlockHeader(genesis.toObject());
+      header.setNonce(0);
+      header.findNonce(genesis.nonce - 10, genesis.nonce);
+      header.nonce.should.equal(0);
+      BlockHeader.fromBuffer(header.toBuffer()).nonce.should.equal(0);
+    });
+
+    it('returns null when no nonce in the range is valid', function() {
+      should.equal(genesis.findNonce(0, 100), null);
+    });
+
+    it('checks the range', function() {
+      (function() {
+        genesis.findNonce(10, 9);
+      }).should.throw('The nonces must go from the lowest to the highest, up to MAX_NONCE');
+      (function() {
+        genesis.findNonce(0, BlockHeader.Constants.MAX_NONCE + 1);
+      }).should.throw('The nonces must go from the lowest to the highest, up to MAX_NONCE');
+    });
+
+    it('computes the target as a buffer', function() {
+      BlockHeader.getTargetBuffer(0x1e0fffff).toString('hex')
+        .should.equal('00000fffff000000000000000000000000000000000000000000000000000000');
+      BlockHeader.getTargetBuffer(0x21ffffff).toString('hex')
+        .should.equal(new Array(33).join('ff'));
+    });
+
+  });
+
   it('coverage: caches the "_id" property', function() {
     var blockHeader = new BlockHeader(bh);
     blockHeader.id.should.equal(blockHeader.id);
@@ -235,6 +351,14 @@ describe('BlockHeader', function() {
     header.nonce.should.equal(0);
   });
 
+  it('create uses the clock when no time is given', function() {
+    var header = BlockHeader.create({
+      prevHash: bh.id,
+      height: 2000
+    }, Clock.fixed(1433037823));
+    header.time.should.equal(1433037823);
+  });
+
 
   describe('getBits and getTargetDifficulty', function() {
 
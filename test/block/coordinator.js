@@ -0,0 +1,226 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+
+var bitcore = require('../..');
+var _ = bitcore.deps._;
+var Block = bitcore.Block;
+var BlockHeader = bitcore.BlockHeader;
+var Transaction = bitcore.Transaction;
+var Miner = bitcore.Miner;
+var MiningCoordinator = bitcore.MiningCoordinator;
+var PrivateKey = bitcore.PrivateKey;
+var Clock = bitcore.util.clock;
+
+describe('MiningCoordinator', function() {
+
+  this.timeout(20000);
+
+  var id = new PrivateKey('ecf4fd8e3c6b7cebeb028ceada16a24e266869e352e80971438bbb03db1c54e4');
+  var coinbases = [];
+  for (var i = 0; i < 3; i++) {
+    coinbases.push(new Transaction()
+      .at(0, i + 1)
+      .to(id.publicKey)
+      .colored(0xff0000ff)
+    );
+  }
+
+  var coordinator;
+  var mineOpts = function(bits) {
+    return {
+      coinbase: coinbases[1],
+      previous: Block.genesis,
+      time: 1433037900,
+      bits: bits || 0x1f0fffff,
+      workers: 2
+    };
+  };
+
+  afterEach(function() {
+    if (coordinator) {
+      coordinator.close();
+      coordinator = null;
+    }
+  });
+
+  it('is a Miner', function() {
+    coordinator = new MiningCoordinator(mineOpts());
+    coordinator.should.be.instanceof(Miner);
+    coordinator.workerCount.should.equal(2);
+  });
+
+  it('finds a valid block with its workers', function() {
+    coordinator = new MiningCoordinator(mineOpts());
+    var found = [];
+    coordinator.on('block', function(block) {
+      found.push(block);
+    });
+    return coordinator.start().then(function(block) {
+      coordinator.workers.length.should.equal(2);
+      block.header.validProofOfWork().should.equal(true);
+      block.prevHash.should.equal(Block.genesis.hash);
+      found.should.deep.equal([block]);
+      coordinator.running.should.equal(false);
+    });
+  });
+
+  it('finds the same block as a single miner', function() {
+    var miner = new Miner(mineOpts());
+    var expected;
+    miner.on('block', function(block) {
+      expected = block;
+    });
+    miner.run();
+
+    coordinator = new MiningCoordinator(mineOpts());
+    coordinator.workerCount = 1;
+    return coordinator.start().then(function(block) {
+      block.hash.should.equal(expected.hash);
+    });
+  });
+
+  it('mines on top of a new tip', function() {
+    var miner = new Miner(mineOpts());
+    var previous;
+    miner.on('block', function(block) {
+      previous = block;
+    });
+    miner.run();
+
+    coordinator = new MiningCoordinator(mineOpts());
+    var promise = coordinator.start();
+    coordinator.newTip(previous, coinbases[2]);
+    return promise.then(function(block) {
+      block.prevHash.should.equal(previous.hash);
+      block.header.height.should.equal(2);
+      block.header.validProofOfWork().should.equal(true);
+    });
+  });
+
+  it('can be stopped', function() {
+    coordinator = new MiningCoordinator(mineOpts(0x1d00ffff));
+    coordinator.on('block', function() {
+      throw new Error('No block should be found');
+    });
+    var promise = coordinator.start();
+    setTimeout(function() {
+      coordinator.stop();
+    }, 100);
+    return promise.then(function(block) {
+      should.not.exist(block);
+      coordinator.running.should.equal(false);
+    });
+  });
+
+  describe('when every nonce was tried', function() {
+
+    var now = 1433037900;
+    var exhaustWorkers = function() {
+      coordinator._onMessage({
+        type: 'exhausted',
+        job: coordinator.job
+      });
+      coordinator._onMessage({
+        type: 'exhausted',
+        job: coordinator.job
+      });
+    };
+
+    it('moves the time forward and starts the workers over', function() {
+      coordinator = new MiningCoordinator(_.extend(mineOpts(0x1d00ffff), {
+        time: undefined,
+        clock: Clock.fixed(now)
+      }));
+      var promise = coordinator.start();
+      var job = coordinator.job;
+      exhaustWorkers();
+      coordinator.job.should.equal(job + 1);
+      coordinator.template.header.time.should.equal(now + 1);
+      coordinator.running.should.equal(true);
+      coordinator.stop();
+      return promise;
+    });
+
+    it('stops when the time can not go further', function() {
+      coordinator = new MiningCoordinator(_.extend(mineOpts(0x1d00ffff), {
+        time: now + BlockHeader.Constants.MAX_TIME_OFFSET,
+        clock: Clock.fixed(now)
+      }));
+      var exhausted = 0;
+      coordinator.on('exhausted', function() {
+        exhausted += 1;
+      });
+      var promise = coordinator.start();
+      exhaustWorkers();
+      return promise.then(function(block) {
+        should.not.exist(block);
+        exhausted.should.equal(1);
+        coordinator.running.should.equal(false);
+      });
+    });
+  });
+
+  describe('when a worker fails', function() {
+
+    var expectRejection = function(promise, message) {
+      return promise.then(function() {
+        throw new Error('The promise should have been rejected');
+      }, function(error) {
+        error.message.should.contain(message);
+      });
+    };
+
+    it('stops the others and rejects when a worker exits', function() {
+      coordinator = new MiningCoordinator(mineOpts(0x1d00ffff));
+      var promise = coordinator.start();
+      var worker = coordinator.workers[0];
+      worker.kill();
+      return expectRejection(promise, 'Mining worker ' + worker.pid + ' exited (SIGTERM)').then(function() {
+        coordinator.running.should.equal(false);
+        coordinator.workers.length.should.equal(1);
+        coordinator.workers.should.not.contain(worker);
+      });
+    });
+
+    it('creates the missing workers when it starts again', function() {
+      coordinator = new MiningCoordinator(mineOpts());
+      var promise = coordinator.start();
+      coordinator.workers[1].kill();
+      return expectRejection(promise, 'exited').then(function() {
+        return coordinator.start();
+      }).then(function(block) {
+        coordinator.workers.length.should.equal(2);
+        block.header.validProofOfWork().should.equal(true);
+      });
+    });
+
+    it('rejects a nonce that is not valid', function() {
+      coordinator = new MiningCoordinator(mineOpts(0x1d00ffff));
+      coordinator.on('block', function() {
+        throw new Error('No block should be found');
+      });
+      var promise = coordinator.start();
+      coordinator._onMessage({
+        type: 'found',
+        job: coordinator.job,
+        nonce: 0
+      });
+      return expectRejection(promise, 'A mining worker found nonce 0').then(function() {
+        coordinator.running.should.equal(false);
+      });
+    });
+  });
+
+  it('ends its workers when closed', function() {
+    coordinator = new MiningCoordinator(mineOpts());
+    return coordinator.start().then(function() {
+      var workers = coordinator.workers;
+      coordinator.close();
+      coordinator.workers.length.should.equal(0);
+      workers[0].killed.should.equal(true);
+      workers[1].killed.should.equal(true);
+    });
+  });
+});
@@ -1,13 +1,18 @@
 'use strict';
 
 var chai = require('chai');
+var Promise = require('bluebird');
 var should = chai.should();
 
 var bitcore = require('../..');
 var Block = bitcore.Block;
 var Transaction = bitcore.Transaction;
 var Miner = bitcore.Miner;
+var Blockchain = bitcore.Blockchain;
+var Mempool = bitcore.Mempool;
 var PrivateKey = bitcore.PrivateKey;
+var Clock = bitcore.util.clock;
+var _ = bitcore.deps._;
 
 describe('Miner', function() {
 
@@ -61,6 +66,56 @@ describe('Miner', function() {
     should.exist(miner);
   });
 
+  it('tries several nonces in one unit of work', function() {
+    var miner = new Miner({
+      coinbase: coinbases[0],
+      previous: Block.genesis,
+      time: 1433037900,
+      bits: 0x1d00ffff
+    });
+    should.not.exist(miner.work(50));
+    miner.template.header.nonce.should.equal(49);
+    miner.nextNonce.should.equal(50);
+  });
+
+  it('counts only the nonces it tried', function() {
+    var miner = new Miner({
+      coinbase: coinbases[0],
+      previous: Block.genesis,
+      time: 1433037900,
+      bits: 0x1f0fffff
+    });
+    var block = miner.work(1000000);
+    should.exist(block);
+    miner.hashes.should.equal(block.header.nonce + 1);
+  });
+
+  it('tries the initial nonce of the template first', function() {
+    var mineOpts = {
+      coinbase: coinbases[0],
+      previous: Block.genesis,
+      time: 1433037900,
+      bits: 0x1f0fffff
+    };
+    var found = new Miner(mineOpts).work(1000000);
+    var miner = new Miner(_.extend({
+      nonce: found.header.nonce
+    }, mineOpts));
+    var block = miner.work(1);
+    should.exist(block);
+    block.hash.should.equal(found.hash);
+    miner.hashes.should.equal(1);
+  });
+
+  it('takes the block time from its clock', function() {
+    var miner = new Miner({
+      coinbase: coinbases[0],
+      previous: Block.genesis,
+      clock: Clock.fixed(1433037900)
+    });
+    miner.template.header.time.should.equal(1433037900);
+  });
+
   it('mines ' + coinbases.length + ' blocks in a row without txs', function(cb) {
     var miner = new Miner(opts);
     var n = 0;
@@ -255,4 +310,405 @@ describe('Miner', function() {
   });
 
 
+  describe('without blocking', function() {
+
+    var mineOpts = function() {
+      return {
+        coinbase: coinbases[1],
+        previous: Block.genesis,
+        time: 1433037900,
+        bits: 0x1f0fffff,
+        batchSize: 10,
+        progressInterval: 0
+      };
+    };
+
+    it('yields to the event loop between batches', function() {
+      var miner = new Miner(mineOpts());
+      var found = [];
+      miner.on('block', function(block) {
+        found.push(block);
+      });
+      var yielded = false;
+      var promise = miner.start();
+      setImmediate(function() {
+        yielded = true;
+      });
+      return promise.then(function(block) {
+        yielded.should.equal(true);
+        block.header.validProofOfWork().should.equal(true);
+        found.should.deep.equal([block]);
+        miner.running.should.equal(false);
+      });
+    });
+
+    it('reports the hashes tried and the hashrate', function() {
+      var miner = new Miner(mineOpts());
+      var reports = [];
+      miner.on('progress', function(progress) {
+        reports.push(progress);
+      });
+      return miner.start().then(function() {
+        reports.length.should.be.above(0);
+        reports[0].hashes.should.equal(10);
+        reports[0].hashrate.should.be.above(0);
+        if (reports.length > 1) {
+          reports[1].hashes.should.equal(20);
+        }
+      });
+    });
+
+    it('can be stopped', function() {
+      var miner = new Miner(mineOpts());
+      miner.on('progress', function() {
+        miner.stop();
+      });
+      miner.on('block', function() {
+        throw new Error('No block should be found');
+      });
+      return miner.start().then(function(block) {
+        should.not.exist(block);
+      });
+    });
+
+    it('mines on top of a new tip right away', function() {
+      var tip = new Miner(mineOpts());
+      var previous;
+      tip.on('block', function(block) {
+        previous = block;
+      });
+      tip.run();
+
+      var miner = new Miner(mineOpts());
+      miner.once('progress', function() {
+        miner.newTip(previous, coinbases[2]);
+      });
+      return miner.start().then(function(block) {
+        block.prevHash.should.equal(previous.hash);
+        block.header.height.should.equal(2);
+      });
+    });
+
+    it('does not resume a stopped run when started again', function() {
+      var miner = new Miner(mineOpts());
+      var found = 0;
+      miner.on('block', function() {
+        found += 1;
+      });
+      var first = miner.start();
+      miner.stop();
+      var second = miner.start();
+      return Promise.all([first, second]).then(function(blocks) {
+        should.not.exist(blocks[0]);
+        should.exist(blocks[1]);
+        found.should.equal(1);
+      });
+    });
+  });
+
+  describe('when every nonce was tried', function() {
+
+    var MAX_NONCE = bitcore.BlockHeader.Constants.MAX_NONCE;
+    var MAX_TIME_OFFSET = bitcore.BlockHeader.Constants.MAX_TIME_OFFSET;
+    var now = 1433037900;
+    var exhaustedMiner = function(opts) {
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: Block.genesis,
+        clock: Clock.fixed(now),
+        time: opts.time,
+        bits: opts.bits
+      });
+      miner.template.header.setNonce(MAX_NONCE);
+      miner.nextNonce = MAX_NONCE + 1;
+      return miner;
+    };
+
+    it('moves the time forward and starts over', function() {
+      var miner = exhaustedMiner({
+        bits: 0x1d00ffff
+      });
+      var merkleRoot = miner.template.header.merkleRoot.toString('hex');
+      miner.work();
+      miner.template.header.time.should.equal(now + 1);
+      miner.template.header.nonce.should.equal(0);
+      miner.template.header.merkleRoot.toString('hex').should.equal(merkleRoot);
+      miner.work();
+      miner.template.header.nonce.should.equal(1);
+    });
+
+    it('moves the time forward in the middle of a unit of work', function() {
+      var miner = exhaustedMiner({
+        bits: 0x1d00ffff
+      });
+      miner.nextNonce = MAX_NONCE - 1;
+      miner.work(5);
+      miner.template.header.time.should.equal(now + 1);
+      miner.template.header.nonce.should.equal(2);
+    });
+
+    it('finds a block with the new time', function(cb) {
+      var miner = exhaustedMiner({
+        bits: 0x1f0fffff
+      });
+      miner.on('block', function(block) {
+        block.header.time.should.equal(now + 1);
+        block.header.validProofOfWork().should.equal(true);
+        cb();
+      });
+      miner.run();
+    });
+
+    it('stops when the time can not go further', function() {
+      var miner = exhaustedMiner({
+        time: now + MAX_TIME_OFFSET,
+        bits: 0x1d00ffff
+      });
+      var exhausted = [];
+      miner.on('exhausted', function(template) {
+        exhausted.push(template);
+      });
+      return miner.start().then(function(block) {
+        should.not.exist(block);
+        miner.hashes.should.equal(0);
+        exhausted.should.deep.equal([miner.template]);
+        miner.running.should.equal(false);
+        miner.template.header.time.should.equal(now + MAX_TIME_OFFSET);
+      });
+    });
+  });
+
+  describe('claiming the frontier', function() {
+
+    var chain;
+    beforeEach(function() {
+      chain = new Blockchain();
+      return chain.proposeNewBlock(Block.genesis);
+    });
+
+    var claimOpts = function(strategy) {
+      return {
+        blockchain: chain,
+        previous: Block.genesis,
+        claim: {
+          owner: id.publicKey,
+          color: 0x00ff00ff,
+          strategy: strategy
+        }
+      };
+    };
+
+    it('picks the position nearest to the origin by default', function() {
+      var miner = new Miner(claimOpts());
+      var coinbase = miner.template.transactions[0];
+      coinbase.isCoinbase().should.equal(true);
+      coinbase.position.should.deep.equal({x: 0, y: -1});
+      coinbase.color.should.equal(0x00ff00ff);
+      coinbase.owner.toString().should.equal(id.publicKey.toString());
+    });
+
+    it('picks the position with the strategy', function() {
+      var miner = new Miner(claimOpts(bitcore.map.Frontier.nearest({x: 10, y: 0})));
+      miner.template.transactions[0].position.should.deep.equal({x: 1, y: 0});
+    });
+
+    it('mines a valid block and picks a new position with each tip', function() {
+      var miner = new Miner(claimOpts(bitcore.map.Frontier.nearest({x: 0, y: 10})));
+      var first;
+      return miner.start().then(function(block) {
+        first = block;
+        block.transactions[0].position.should.deep.equal({x: 0, y: 1});
+        return chain.proposeNewBlock(block);
+      }).then(function() {
+        chain.tip.should.equal(first.hash);
+        miner.newTip(first);
+        miner.template.transactions[0].position.should.deep.equal({x: 0, y: 2});
+        return miner.start();
+      }).then(function(block) {
+        return chain.proposeNewBlock(block);
+      }).then(function() {
+        chain.getCurrentHeight().should.equal(2);
+      });
+    });
+
+    it('requires a blockchain', function() {
+      var opts = claimOpts();
+      delete opts.blockchain;
+      (function() {
+        return new Miner(opts);
+      }).should.throw('opts.blockchain is required to claim a position of the frontier');
+    });
+  });
+
+  describe('with a mempool', function() {
+
+    var chain, mempool, A;
+    beforeEach(function() {
+      chain = new Blockchain();
+      chain.proposeNewBlock(Block.genesis);
+      var miner = new Miner({
+        coinbase: coinbases[0],
+        previous: Block.genesis,
+        time: Block.genesis.header.time + 60
+      });
+      miner.on('block', function(block) {
+        A = block;
+      });
+      miner.run();
+      return chain.proposeNewBlock(A).then(function() {
+        mempool = new Mempool(chain);
+      });
+    });
+
+    var transferOf = function(previous) {
+      return new Transaction()
+        .from(previous)
+        .to(id.publicKey)
+        .colored(0x00ff00ff)
+        .sign(id);
+    };
+
+    it('includes the transactions of the pool', function() {
+      var tx = mempool.add(transferOf(A.transactions[0]));
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: A,
+        time: A.header.time + 60,
+        mempool: mempool
+      });
+      miner.template.transactions.length.should.equal(2);
+      miner.template.transactions[1].hash.should.equal(tx.hash);
+      miner.template.validMerkleRoot().should.equal(true);
+      miner.close();
+    });
+
+    it('updates the template when the pool changes', function() {
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: A,
+        time: A.header.time + 60,
+        mempool: mempool
+      });
+      miner.template.transactions.length.should.equal(1);
+      var tx = mempool.add(transferOf(A.transactions[0]));
+      miner.template.transactions.length.should.equal(2);
+      mempool.add(transferOf(tx));
+      miner.template.transactions.length.should.equal(3);
+      miner.close();
+    });
+
+    it('mines on top of the new tip', function() {
+      mempool.add(transferOf(A.transactions[0]));
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: A,
+        time: A.header.time + 60,
+        mempool: mempool
+      });
+      var found;
+      miner.on('block', function(block) {
+        found = block;
+      });
+      var required = [];
+      miner.on('coinbase:required', function(block) {
+        required.push(block.hash);
+      });
+      miner.run();
+      return chain.proposeNewBlock(found).then(function() {
+        required.should.deep.equal([found.hash]);
+        miner.previous.hash.should.equal(found.hash);
+        should.not.exist(miner.template);
+        (function() {
+          miner.run();
+        }).should.throw('A new coinbase is required, see updateCoinbase');
+        miner.updateCoinbase(coinbases[2]);
+        miner.template.header.height.should.equal(3);
+        miner.template.transactions.length.should.equal(1);
+        miner.close();
+      });
+    });
+
+    it('waits for a new coinbase before mining after its pixel is mined', function() {
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: A,
+        time: A.header.time + 60,
+        mempool: mempool
+      });
+      var blocks = [];
+      miner.on('block', function(block) {
+        blocks.push(block);
+      });
+      miner.run();
+      return chain.proposeNewBlock(blocks[0]).then(function() {
+        mempool.add(transferOf(A.transactions[0]));
+        should.not.exist(miner.template);
+        miner.updateCoinbase(coinbases[2]);
+        miner.template.transactions.length.should.equal(2);
+        miner.run();
+        chain.checkValidBlock(blocks[1]).should.equal(true);
+        return chain.proposeNewBlock(blocks[1]);
+      }).then(function() {
+        chain.tip.should.equal(blocks[1].hash);
+        miner.close();
+      });
+    });
+
+    it('keeps mining on a new position of the frontier when claiming it', function() {
+      var miner = new Miner({
+        claim: {
+          owner: id.publicKey,
+          color: 0x00ff00ff
+        },
+        blockchain: chain,
+        previous: A,
+        mempool: mempool
+      });
+      var blocks = [];
+      miner.on('block', function(block) {
+        blocks.push(block);
+      });
+      miner.run();
+      return chain.proposeNewBlock(blocks[0]).then(function() {
+        miner.previous.hash.should.equal(blocks[0].hash);
+        miner.run();
+        chain.checkValidBlock(blocks[1]).should.equal(true);
+        return chain.proposeNewBlock(blocks[1]);
+      }).then(function() {
+        chain.getCurrentHeight().should.equal(3);
+        miner.close();
+      });
+    });
+
+    it('stops following the pool when closed', function() {
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: A,
+        time: A.header.time + 60,
+        mempool: mempool
+      });
+      miner.close();
+      mempool.add(transferOf(A.transactions[0]));
+      miner.template.transactions.length.should.equal(1);
+    });
+
+    it('respects the maximum block size', function() {
+      var tx = mempool.add(transferOf(A.transactions[0]));
+      mempool.add(transferOf(tx));
+      var base = Block.fromCoinbase(coinbases[1], {
+        height: 2,
+        prevHash: A.hash
+      }).toBuffer().length;
+      var miner = new Miner({
+        coinbase: coinbases[1],
+        previous: A,
+        time: A.header.time + 60,
+        mempool: mempool,
+        maxBlockSize: base + tx.toBuffer().length
+      });
+      miner.template.transactions.length.should.equal(2);
+      miner.close();
+    });
+  });
+
 });
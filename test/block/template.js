@@ -0,0 +1,93 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+
+var bitcore = require('../..');
+var Block = bitcore.Block;
+var BlockTemplate = bitcore.Block.BlockTemplate;
+var PrivateKey = bitcore.PrivateKey;
+var Transaction = bitcore.Transaction;
+var _ = bitcore.deps._;
+
+describe('BlockTemplate', function() {
+
+  var privKey = new PrivateKey('ecf4fd8e3c6b7cebeb028ceada16a24e266869e352e80971438bbb03db1c54e4');
+  var coinbaseAt = function(x, y) {
+    return new Transaction()
+      .at(x, y)
+      .to(privKey.publicKey)
+      .colored(0xff0000ff);
+  };
+  var transfer = function(previous, color) {
+    return new Transaction()
+      .from(previous)
+      .to(privKey.publicKey)
+      .colored(color)
+      .sign(privKey);
+  };
+
+  var header = {
+    height: 1,
+    prevHash: Block.genesis.hash,
+    time: 1433037900,
+    bits: 0x1f0fffff
+  };
+  var coinbase = coinbaseAt(0, 1);
+  var first = transfer(coinbaseAt(2, 0), 0x00ff00ff);
+  var second = transfer(first, 0x0000ffff);
+  var other = transfer(coinbaseAt(1, 0), 0xffffffff);
+  var baseSize = Block.fromCoinbase(coinbase, header).toBuffer().length;
+
+  describe('selectTransactions', function() {
+
+    it('takes every candidate that fits, in order', function() {
+      var block = Block.fromCoinbase(coinbase, header);
+      var selected = BlockTemplate.selectTransactions([first, second, other], block);
+      _.pluck(selected, 'hash').should.deep.equal(_.pluck([first, second, other], 'hash'));
+    });
+
+    it('stays within the maximum size', function() {
+      var block = Block.fromCoinbase(coinbase, header);
+      var maxSize = baseSize + first.toBuffer().length + second.toBuffer().length;
+      var selected = BlockTemplate.selectTransactions([first, second, other], block, maxSize);
+      _.pluck(selected, 'hash').should.deep.equal(_.pluck([first, second], 'hash'));
+    });
+
+    it('skips the transactions that spend a skipped one', function() {
+      var block = Block.fromCoinbase(coinbase, header);
+      // signatures have different lengths, find a transfer that is smaller
+      var small = second;
+      for (var color = 0; small.toBuffer().length >= first.toBuffer().length; color++) {
+        small = transfer(first, color);
+      }
+      var maxSize = baseSize + small.toBuffer().length;
+      var selected = BlockTemplate.selectTransactions([first, small], block, maxSize);
+      selected.should.deep.equal([]);
+    });
+
+    it('rejects a block that is already too large', function() {
+      var block = Block.fromCoinbase(coinbase, header);
+      (function() {
+        BlockTemplate.selectTransactions([first], block, baseSize - 1);
+      }).should.throw('The block is already larger than the maximum size');
+    });
+  });
+
+  describe('build', function() {
+
+    it('builds a block with the coinbase and the selected transactions', function() {
+      var block = BlockTemplate.build(coinbase, header, [first, second]);
+      block.transactions.length.should.equal(3);
+      block.transactions[0].hash.should.equal(coinbase.hash);
+      block.validMerkleRoot().should.equal(true);
+      block.toBuffer().length.should.equal(baseSize + first.toBuffer().length + second.toBuffer().length);
+    });
+
+    it('builds a block with only the coinbase', function() {
+      var block = BlockTemplate.build(coinbase, header);
+      block.toString().should.equal(Block.fromCoinbase(coinbase, header).toString());
+    });
+  });
+
+});
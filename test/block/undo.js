@@ -0,0 +1,71 @@
+'use strict';
+
+var chai = require('chai');
+
+var bitcore = require('../..');
+var Block = bitcore.Block;
+var BlockUndo = bitcore.Block.BlockUndo;
+var PrivateKey = bitcore.PrivateKey;
+var Transaction = bitcore.Transaction;
+var should = chai.should();
+
+describe('BlockUndo', function() {
+
+  var privKey = new PrivateKey('ecf4fd8e3c6b7cebeb028ceada16a24e266869e352e80971438bbb03db1c54e4');
+  var coinbase = new Transaction()
+    .at(0, 0)
+    .to(privKey.publicKey)
+    .colored(0xff0000ff);
+  var first = new Transaction()
+    .from(coinbase)
+    .to(privKey.publicKey)
+    .colored(0x00ff00ff)
+    .sign(privKey);
+  var second = new Transaction()
+    .from(first)
+    .to(privKey.publicKey)
+    .colored(0x0000ffff)
+    .sign(privKey);
+  var block = {
+    hash: Block.genesis.hash,
+    transactions: [
+      new Transaction().at(0, 1).to(privKey.publicKey).colored(0xff00ffff),
+      first,
+      second
+    ]
+  };
+
+  it('records the state of each position before the block', function() {
+    var undo = BlockUndo.fromBlock(block, {
+      '0_0': coinbase
+    });
+    undo.hash.should.equal(Block.genesis.hash);
+    undo.pixels.length.should.equal(2);
+    undo.pixels[0].position.should.deep.equal({x: 0, y: 1});
+    should.not.exist(undo.pixels[0].tx);
+    undo.pixels[1].position.should.deep.equal({x: 0, y: 0});
+    undo.pixels[1].tx.hash.should.equal(coinbase.hash);
+  });
+
+  it('round-trips through a buffer', function() {
+    var undo = BlockUndo.fromBlock(block, {
+      '0_0': coinbase
+    });
+    var restored = BlockUndo.fromBuffer(undo.toBuffer());
+    restored.hash.should.equal(undo.hash);
+    restored.pixels.length.should.equal(2);
+    should.not.exist(restored.pixels[0].tx);
+    restored.pixels[1].tx.hash.should.equal(coinbase.hash);
+    restored.toBuffer().toString('hex').should.equal(undo.toBuffer().toString('hex'));
+  });
+
+  it('maps positions to their previous transaction', function() {
+    var previous = BlockUndo.fromBlock(block, {
+      '0_0': coinbase
+    }).getPreviousPixels();
+    previous['0_0'].hash.should.equal(coinbase.hash);
+    Object.keys(previous).should.deep.equal(['0_1', '0_0']);
+    should.not.exist(previous['0_1']);
+  });
+
+});
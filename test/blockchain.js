@@ -1,113 +1,1611 @@
 'use strict';
 
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
 var chai = require('chai');
 var should = chai.should();
+var Promise = require('bluebird');
 
 var bitcore = require('../');
 var Block = bitcore.Block;
 var Transaction = bitcore.Transaction;
 var PrivateKey = bitcore.PrivateKey;
+var BlockHeader = bitcore.BlockHeader;
 var Blockchain = bitcore.Blockchain;
 var Miner = bitcore.Miner;
+var Networks = bitcore.Networks;
+var BN = bitcore.crypto.BN;
+var errors = bitcore.errors;
+var _ = bitcore.deps._;
+var Clock = bitcore.util.clock;
+var MemoryStorage = bitcore.store.MemoryStorage;
 
 describe('Blockchain', function() {
 
   it('Creates a blockchain with the genesis block', function() {
     var blockchain = new Blockchain();
+    return blockchain.proposeNewBlock(Block.genesis).then(function() {
+      blockchain.tip.should.equal(Block.genesis.hash);
+    });
+  });
+
+  it('processes calls in the order they are made', function() {
+    var blockchain = new Blockchain();
+    var invalid = Block.fromString(Block.genesis.toString());
+    invalid.header.height = 1;
+    blockchain.proposeNewBlock(invalid).catch(errors.Blockchain.InvalidHeight, function() {});
     blockchain.proposeNewBlock(Block.genesis);
-    blockchain.tip.should.equal(Block.genesis.hash);
+    return blockchain.getTipBlock().then(function(tip) {
+      tip.hash.should.equal(Block.genesis.hash);
+    });
   });
 
-  var privKey = new PrivateKey('ecf4fd8e3c6b7cebeb028ceada16a24e266869e352e80971438bbb03db1c54e4');
-  var mineBlock = function(blockchain, transactions, color, callback) {
-    var opts = {};
-    opts.coinbase = new Transaction()
-      .at(0, blockchain.getTipBlock().height + 1)
-      .to(privKey.publicKey)
-      .colored(color || 0xff0000ff);
-    opts.previous = blockchain.getTipBlock();
-    opts.time = 1432594281;
-    var miner = new Miner(opts);
-    transactions.map(function(tx) {
-      miner.addTransaction(tx);
-    });
-    miner.on('block', callback);
+  var expectRejection = function(promise, expected) {
+    return promise.then(function() {
+      throw new Error('Expected the promise to be rejected');
+    }, function(error) {
+      (function() {
+        throw error;
+      }).should.throw(expected);
+    });
+  };
+
+  var runMiner = function(miner) {
+    var found;
+    miner.on('block', function(block) {
+      found = block;
+    });
     miner.run();
+    return found;
+  };
+
+  var privKey = new PrivateKey('ecf4fd8e3c6b7cebeb028ceada16a24e266869e352e80971438bbb03db1c54e4');
+  var mineBlock = function(blockchain, transactions, color) {
+    return blockchain.getTipBlock().then(function(tip) {
+      var opts = {};
+      opts.coinbase = new Transaction()
+        .at(0, tip.height + 1)
+        .to(privKey.publicKey)
+        .colored(color || 0xff0000ff);
+      opts.previous = tip;
+      opts.time = tip.header.time + 60;
+      var miner = new Miner(opts);
+      transactions.map(function(tx) {
+        miner.addTransaction(tx);
+      });
+      return runMiner(miner);
+    });
   };
 
-  it('Makes a simple reorg: Append to tip', function(cb) {
+  it('Makes a simple reorg: Append to tip', function() {
     var blockchain = new Blockchain();
     blockchain.proposeNewBlock(Block.genesis);
 
-    mineBlock(blockchain, [], null, function(block) {
-      blockchain.proposeNewBlock(block);
-      blockchain.tip.should.equal(block.hash);
-      cb();
+    return mineBlock(blockchain, []).then(function(block) {
+      return blockchain.proposeNewBlock(block).then(function() {
+        blockchain.tip.should.equal(block.hash);
+      });
     });
-
   });
 
   describe('transaction validation', function() {
 
-    it('validates a transaction that spends a previous coinbase', function(cb) {
+    var transferOf = function(block) {
+      return new Transaction()
+        .from(block.transactions[0])
+        .to(privKey.publicKey)
+        .colored(0x00fff0ff)
+        .sign(privKey);
+    };
+
+    it('validates a transaction that spends a previous coinbase', function() {
       var blockchain = new Blockchain();
       blockchain.proposeNewBlock(Block.genesis);
 
-      var block1, block2;
-      mineBlock(blockchain, [], null, function(block) {
+      return mineBlock(blockchain, []).then(function(block1) {
+        blockchain.proposeNewBlock(block1);
+        return mineBlock(blockchain, [transferOf(block1)]);
+      }).then(function(block2) {
+        return blockchain.proposeNewBlock(block2).then(function() {
+          blockchain.tip.should.equal(block2.hash);
+        });
+      });
+    });
+
+    it('doesnt allow a transaction with invalid signature', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+
+      return mineBlock(blockchain, []).then(function(block1) {
+        blockchain.proposeNewBlock(block1);
+        var tx = transferOf(block1);
+        // Corrupt signature
+        tx.signature.r.words[1]++;
+        return mineBlock(blockchain, [tx]);
+      }).then(function(block2) {
+        return expectRejection(blockchain.proposeNewBlock(block2), 'signature mismatch');
+      });
+    });
+  });
+
+  var network;
+  before(function() {
+    network = Networks.add({
+      name: 'retargetnet',
+      alias: 'retargetnet',
+      pubkeyhash: 0x1c,
+      privatekey: 0x9c,
+      scripthash: 0x1e,
+      xpubkey: 0x0278b21e,
+      xprivkey: 0x0278ae14,
+      networkMagic: 0xd7b4bef9,
+      port: 20018,
+      dnsSeeds: [],
+      targetSpacing: 60,
+      retargetWindow: 4
+    });
+  });
+  after(function() {
+    Networks.remove(network);
+  });
+
+  var mineWithSpacing = function(blockchain, spacing, count) {
+    return blockchain.getTipBlock().then(function(tip) {
+      var block = runMiner(new Miner({
+        coinbase: new Transaction()
+          .at(0, tip.height + 1)
+          .to(privKey.publicKey)
+          .colored(0xff0000ff),
+        previous: tip,
+        time: tip.header.time + spacing,
+        blockchain: blockchain
+      }));
+      return blockchain.proposeNewBlock(block);
+    }).then(function() {
+      if (count > 1) {
+        return mineWithSpacing(blockchain, spacing, count - 1);
+      }
+    });
+  };
+
+  // the genesis block is connected before anything else proposed to it
+  var createBlockchain = function() {
+    var blockchain = new Blockchain({
+      network: 'retargetnet'
+    });
+    blockchain.proposeNewBlock(Block.genesis);
+    return blockchain;
+  };
+
+  var blocksOf = function(blockchain) {
+    return Promise.map(_.range(1, blockchain.getCurrentHeight() + 1), function(height) {
+      return blockchain.getBlock(blockchain.hashByHeight[height]);
+    });
+  };
+
+  describe('transaction structure', function() {
+
+    var solve = function(block) {
+      while (!block.header.validProofOfWork()) {
+        block.header.increaseNonce();
+      }
+      return block;
+    };
+
+    var buildBlock = function(parent, transactions) {
+      return solve(new Block({
+        header: BlockHeader.create({
+          height: parent.height + 1,
+          prevHash: parent.hash,
+          time: parent.header.time + 60
+        }),
+        transactions: transactions
+      }));
+    };
+
+    var coinbaseAt = function(x, y) {
+      return new Transaction()
+        .at(x, y)
+        .to(privKey.publicKey)
+        .colored(0xff0000ff);
+    };
+
+    var blockchain, block1;
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      return mineBlock(blockchain, []).then(function(block) {
         block1 = block;
+        return blockchain.proposeNewBlock(block);
+      });
+    });
+
+    var transfer = function(previous, color) {
+      return new Transaction()
+        .from(previous)
+        .to(privKey.publicKey)
+        .colored(color)
+        .sign(privKey);
+    };
+
+    it('accepts a transfer that spends the current pixel transaction', function() {
+      var block = buildBlock(block1, [coinbaseAt(0, 2), transfer(block1.transactions[0], 0x00ff00ff)]);
+      blockchain.checkValidBlock(block).should.equal(true);
+    });
+
+    it('rejects a block that does not start with a coinbase', function() {
+      var block = buildBlock(block1, [transfer(block1.transactions[0], 0x00ff00ff)]);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.MissingCoinbase);
+    });
+
+    it('rejects a coinbase after the first transaction', function() {
+      var block = buildBlock(block1, [coinbaseAt(0, 2), coinbaseAt(1, 0)]);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.UnexpectedCoinbase);
+    });
+
+    it('rejects reusing a coinbase', function() {
+      var block = buildBlock(block1, [block1.transactions[0]]);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.PixelMined);
+    });
+
+    it('rejects a transfer of a pixel that was not mined', function() {
+      var tx = new Transaction()
+        .at(5, 5)
+        .from(block1.transactions[0].hash)
+        .to(privKey.publicKey)
+        .colored(0x00ff00ff);
+      var block = buildBlock(block1, [coinbaseAt(0, 2), tx]);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.MissingInput);
+    });
+
+    it('rejects a transfer with a made-up input', function() {
+      var tx = new Transaction()
+        .at(0, 1)
+        .from('a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458')
+        .to(privKey.publicKey)
+        .colored(0x00ff00ff);
+      var block = buildBlock(block1, [coinbaseAt(0, 2), tx]);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.InvalidInput);
+    });
+
+    it('rejects a transfer with a stale input', function() {
+      var coinbase = block1.transactions[0];
+      var block2 = buildBlock(block1, [coinbaseAt(0, 2), transfer(coinbase, 0x00ff00ff)]);
+      return blockchain.proposeNewBlock(block2).then(function() {
+        blockchain.tip.should.equal(block2.hash);
+
+        var block3 = buildBlock(block2, [coinbaseAt(0, 3), transfer(coinbase, 0x0000ffff)]);
+        (function() {
+          blockchain.checkValidBlock(block3);
+        }).should.throw(errors.Blockchain.InvalidInput);
+      });
+    });
+
+    it('accepts a chain of transfers of the same pixel in one block', function() {
+      var first = transfer(block1.transactions[0], 0x00ff00ff);
+      var second = transfer(first, 0x0000ffff);
+      var block = buildBlock(block1, [coinbaseAt(0, 2), first, second]);
+      blockchain.checkValidBlock(block).should.equal(true);
+    });
+  });
+
+  describe('transaction acceptance', function() {
+
+    var otherKey = new PrivateKey();
+    var blockchain, block1;
+    before(function() {
+      blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      return mineBlock(blockchain, []).then(function(mined) {
+        block1 = mined;
+        blockchain.proposeNewBlock(block1);
+        return mineBlock(blockchain, []);
+      }).then(function(block2) {
+        return blockchain.proposeNewBlock(block2);
+      });
+    });
+
+    var transfer = function(previous, key) {
+      return new Transaction()
+        .from(previous)
+        .to(otherKey.publicKey)
+        .colored(0x00ff00ff)
+        .sign(key);
+    };
+
+    var expectError = function(tx, expected, pending) {
+      (function() {
+        blockchain.checkTransaction(tx, pending);
+      }).should.throw(expected);
+    };
+
+    it('accepts a transfer of the current transaction of a pixel', function() {
+      blockchain.checkTransaction(transfer(block1.transactions[0], privKey)).should.equal(true);
+    });
+
+    it('accepts a transfer of a pending transaction', function() {
+      var first = transfer(block1.transactions[0], privKey);
+      blockchain.checkTransaction(transfer(first, otherKey), {
+        '0_1': first
+      }).should.equal(true);
+    });
+
+    it('rejects coinbases', function() {
+      expectError(new Transaction().at(1, 1).to(privKey.publicKey).colored(0xff0000ff), errors.Blockchain.NotATransfer);
+    });
+
+    it('rejects colors out of range', function() {
+      var tx = transfer(block1.transactions[0], privKey);
+      tx.color = 0x100000000;
+      expectError(tx, errors.Blockchain.InvalidColor);
+    });
+
+    it('rejects a transfer of a pixel that was not mined', function() {
+      var tx = new Transaction()
+        .at(5, 5)
+        .from(Block.genesis.transactions[0].hash)
+        .to(privKey.publicKey)
+        .colored(0x00ff00ff);
+      expectError(tx, errors.Blockchain.MissingInput);
+    });
+
+    it('rejects a position different from the one of the input', function() {
+      var tx = new Transaction()
+        .at(0, 2)
+        .from(block1.transactions[0].hash)
+        .to(privKey.publicKey)
+        .colored(0x00ff00ff);
+      expectError(tx, errors.Blockchain.PositionMismatch);
+      expectError(tx, 'Transaction ' + tx.hash + ' is at position 0_2, but the transaction it spends is at 0_1');
+    });
+
+    it('rejects an input that is not the current transaction of the pixel', function() {
+      var first = transfer(block1.transactions[0], privKey);
+      expectError(transfer(first, otherKey), errors.Blockchain.InvalidInput);
+    });
+
+    it('rejects a transfer not signed by the owner', function() {
+      var tx = transfer(block1.transactions[0], privKey);
+      tx.signature.r.words[1]++;
+      expectError(tx, errors.Blockchain.InvalidSignature);
+    });
+  });
+
+  describe('chain work', function() {
+
+    it('accumulates work from the header bits', function() {
+      var blockchain = new Blockchain();
+      var genesisWork;
+      return blockchain.proposeNewBlock(Block.genesis).then(function() {
+        genesisWork = blockchain.work[Block.genesis.hash];
+        genesisWork.toString(16).should.equal('100001');
+        return mineBlock(blockchain, []);
+      }).then(function(block) {
+        return blockchain.proposeNewBlock(block).then(function() {
+          blockchain.work[block.hash].sub(genesisWork).toString().should.equal('2');
+        });
+      });
+    });
+
+    it('prefers the heaviest chain over the longest one', function() {
+      var blockchain = createBlockchain();
+      var heavy = createBlockchain();
+
+      return mineWithSpacing(blockchain, 80, 5).then(function() {
+        return mineWithSpacing(heavy, 1, 4);
+      }).then(function() {
+        return blocksOf(heavy);
+      }).then(function(blocks) {
+        _.last(blocks).bits.should.equal(0x201fffff);
+        return Promise.each(blocks, function(block) {
+          return blockchain.proposeNewBlock(block);
+        });
+      }).then(function() {
+        blockchain.tip.should.equal(heavy.tip);
+        blockchain.getCurrentHeight().should.equal(4);
+      });
+    });
+
+    it('serializes work to an object and back', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var block;
+      return mineBlock(blockchain, []).then(function(mined) {
+        block = mined;
         blockchain.proposeNewBlock(block);
+        return blockchain.toJSONString();
+      }).then(function(json) {
+        return Blockchain.fromObject(JSON.parse(json));
+      }).then(function(restored) {
+        restored.work[block.hash].cmp(blockchain.work[block.hash]).should.equal(0);
+        restored.tip.should.equal(block.hash);
+      });
+    });
+  });
 
+  describe('snapshots', function() {
+
+    var blockchain;
+    before(function() {
+      // Genesis -> A -> D (with a transfer of A's pixel)
+      //      \
+      //       `----> B
+      blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
+      var blockchain3 = new Blockchain();
+      blockchain3.proposeNewBlock(Block.genesis);
+
+      var A;
+      return mineBlock(blockchain2, [], 0xFFFFFFFF).then(function(B) {
+        return blockchain.proposeNewBlock(B).then(function() {
+          blockchain.tip.should.equal(B.hash);
+          return mineBlock(blockchain3, [], 0x00ff00ff);
+        });
+      }).then(function(mined) {
+        A = mined;
+        blockchain3.proposeNewBlock(A);
         var tx = new Transaction()
-          .from(block1.transactions[0])
+          .from(A.transactions[0])
           .to(privKey.publicKey)
           .colored(0x00fff0ff)
           .sign(privKey);
+        return mineBlock(blockchain3, [tx]);
+      }).then(function(D) {
+        blockchain.proposeNewBlock(A);
+        return blockchain.proposeNewBlock(D).then(function() {
+          blockchain.tip.should.equal(D.hash);
+        });
+      });
+    });
 
-        mineBlock(blockchain, [tx], null, function(block) {
-          block2 = block;
-          blockchain.proposeNewBlock(block);
-          blockchain.tip.should.equal(block2.hash);
+    var checkRestored = function(restored) {
+      restored.tip.should.equal(blockchain.tip);
+      restored.getCurrentHeight().should.equal(2);
+      restored.hashByHeight.should.deep.equal(blockchain.hashByHeight);
+      restored.height.should.deep.equal(blockchain.height);
+      restored.next.should.deep.equal(blockchain.next);
+      restored.prev.should.deep.equal(blockchain.prev);
+      _.keys(restored.work).sort().should.deep.equal(_.keys(blockchain.work).sort());
+      _.each(blockchain.work, function(work, hash) {
+        restored.work[hash].cmp(work).should.equal(0);
+      });
+      _.keys(restored.pixels).sort().should.deep.equal(_.keys(blockchain.pixels).sort());
+      _.each(blockchain.pixels, function(tx, pos) {
+        restored.pixels[pos].hash.should.equal(tx.hash);
+      });
+      return blockchain.blockStore.getAll().then(function(blocks) {
+        return Promise.each(blocks, function(block) {
+          return restored.getBlock(block.hash).then(function(restoredBlock) {
+            restoredBlock.toString().should.equal(block.toString());
+            return Promise.each(block.transactions, function(tx) {
+              return restored.getTransaction(tx.hash).then(function(restoredTx) {
+                restoredTx.hash.should.equal(tx.hash);
+              });
+            });
+          });
+        });
+      });
+    };
+
+    it('round-trips the chain state through an object', function() {
+      return blockchain.toJSONString().then(function(json) {
+        return Blockchain.fromObject(JSON.parse(json));
+      }).then(checkRestored);
+    });
+
+    it('round-trips the chain state through a buffer', function() {
+      return blockchain.toBuffer().then(Blockchain.fromBuffer).then(checkRestored);
+    });
+
+    it('can keep working after being restored', function() {
+      var restored;
+      return blockchain.toBuffer().then(Blockchain.fromBuffer).then(function(blockchain) {
+        restored = blockchain;
+        return restored.checkConsistency();
+      }).then(function(consistent) {
+        consistent.should.equal(true);
+        return mineBlock(restored, []);
+      }).then(function(block) {
+        return restored.proposeNewBlock(block).then(function() {
+          restored.tip.should.equal(block.hash);
+          restored.getCurrentHeight().should.equal(3);
+        });
+      });
+    });
+
+    it('restores the chain state from filesystem storage', function() {
+      var dir = path.join(os.tmpdir(), 'decentraland-blockchain-' + process.pid);
+      var opts = {
+        storage: 'filesystem',
+        path: dir
+      };
+      var stored = new Blockchain(opts);
+      var restored;
+      return blockchain.blockStore.getAll().then(function(blocks) {
+        _.each(blocks, function(block) {
+          stored.proposeNewBlock(block);
+        });
+        return stored.close();
+      }).then(function() {
+        restored = new Blockchain(opts);
+        return restored.ready;
+      }).then(function() {
+        return checkRestored(restored);
+      }).then(function() {
+        return restored.close();
+      }).then(function() {
+        fs.existsSync(path.join(dir, 'blocks', 'blk00000.dat')).should.equal(true);
+        fs.existsSync(path.join(dir, 'undo', 'rev00000.dat')).should.equal(true);
+        _.each(['blocks', 'transactions', 'undo'], function(name) {
+          _.each(fs.readdirSync(path.join(dir, name)), function(file) {
+            fs.unlinkSync(path.join(dir, name, file));
+          });
+          fs.rmdirSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+      });
+    });
+
+    it('uses the storage adapters created by a function', function() {
+      var storages = {};
+      var restored = new Blockchain({
+        storage: function(name) {
+          storages[name] = storages[name] || new MemoryStorage();
+          return storages[name];
+        }
+      });
+      return blockchain.blockStore.getAll().then(function(blocks) {
+        return Promise.each(blocks, function(block) {
+          return restored.proposeNewBlock(block);
+        });
+      }).then(function() {
+        _.keys(storages).sort().should.deep.equal(['blocks', 'transactions', 'undo']);
+        storages.blocks.keys().length.should.equal(4);
+        var reopened = new Blockchain({
+          storage: function(name) {
+            return storages[name];
+          }
+        });
+        return reopened.ready.then(function() {
+          return checkRestored(reopened);
+        });
+      });
+    });
+
+    it('works with storage adapters that return promises', function() {
+      var storage = new MemoryStorage();
+      var asyncStorage = {};
+      _.each(['get', 'set', 'has', 'delete', 'keys', 'close'], function(method) {
+        asyncStorage[method] = function() {
+          return Promise.delay(1).return(storage[method].apply(storage, arguments));
+        };
+      });
+      var restored = new Blockchain({
+        storage: function(name) {
+          return name === 'blocks' ? asyncStorage : new MemoryStorage();
+        }
+      });
+      return blockchain.blockStore.getAll().then(function(blocks) {
+        return Promise.each(blocks, function(block) {
+          return restored.proposeNewBlock(block);
+        });
+      }).then(function() {
+        return checkRestored(restored);
+      });
+    });
+
+    it('rejects an unknown storage backend', function() {
+      (function() {
+        return new Blockchain({
+          storage: 'tape'
+        });
+      }).should.throw(errors.Storage.UnknownBackend);
+    });
 
-          cb();
+    it('rejects an unknown version', function() {
+      return blockchain.toObject().then(function(obj) {
+        obj.version = Blockchain.SNAPSHOT_VERSION + 1;
+        return expectRejection(Blockchain.fromObject(obj), errors.Blockchain.InvalidSnapshot);
+      });
+    });
+
+    it('rejects a tip that is not reachable', function() {
+      return blockchain.toObject().then(function(obj) {
+        obj.blocks = _.reject(obj.blocks, function(block) {
+          return Block.fromObject(block).hash === blockchain.hashByHeight[1];
         });
-      })
+        return expectRejection(Blockchain.fromObject(obj), 'the tip is not connected to the genesis block');
+      });
+    });
+
+    it('rejects heights that do not match the blocks', function() {
+      return blockchain.toObject().then(function(obj) {
+        obj.height[blockchain.tip] = 5;
+        return expectRejection(Blockchain.fromObject(obj), 'the height of block ' + blockchain.tip + ' does not match');
+      });
+    });
 
+    it('rejects pixels that can not be reproduced from the blocks', function() {
+      return blockchain.toObject().then(function(obj) {
+        obj.pixels['0_1'] = blockchain.pixels['0_2'].hash;
+        return expectRejection(Blockchain.fromObject(obj), 'the pixel at 0_1 does not match the blocks');
+      });
+    });
+  });
+
+  describe('difficulty retargeting', function() {
+
+    var powLimit = BlockHeader.Constants.DEFAULT_BITS;
+
+    it('uses the easiest target during the first window', function() {
+      var blockchain = createBlockchain();
+      return blockchain.getTipBlock().then(function() {
+        blockchain.getNextRequiredBits().should.equal(powLimit);
+        return mineWithSpacing(blockchain, 10, 2);
+      }).then(function() {
+        return blockchain.getTipBlock();
+      }).then(function(tip) {
+        tip.bits.should.equal(powLimit);
+        blockchain.getNextRequiredBits().should.equal(powLimit);
+      });
     });
 
-    it('doesnt allow a transaction with invalid signature', function(cb) {
+    it('keeps the target when blocks arrive on schedule', function() {
+      var blockchain = createBlockchain();
+      return mineWithSpacing(blockchain, 80, 3).then(function() {
+        blockchain.getNextRequiredBits().should.equal(powLimit);
+      });
+    });
+
+    it('makes the target at most four times harder when blocks are too fast', function() {
+      var blockchain = createBlockchain();
+      return mineWithSpacing(blockchain, 1, 3).then(function() {
+        var expected = BlockHeader.getBits(BlockHeader.getTargetDifficulty(powLimit).div(new BN(4)));
+        blockchain.getNextRequiredBits().should.equal(expected);
+        blockchain.getNextRequiredBits().should.equal(0x201fffff);
+        return mineWithSpacing(blockchain, 1, 2);
+      }).then(function() {
+        return blockchain.getTipBlock();
+      }).then(function(tip) {
+        tip.bits.should.equal(0x201fffff);
+        blockchain.getCurrentHeight().should.equal(5);
+      });
+    });
+
+    it('requires the bits of the genesis block for a block without a parent', function() {
       var blockchain = new Blockchain();
+      blockchain.getNextRequiredBits(Blockchain.NULL).should.equal(Block.genesis.header.bits);
+      blockchain.isValidBlock(Block.genesis).should.equal(true);
+      var block = Block.fromCoinbase(Block.genesis.transactions[0], {
+        height: 0,
+        prevHash: Blockchain.NULL,
+        bits: powLimit,
+        time: Block.genesis.header.time
+      });
+      while (!block.header.validProofOfWork()) {
+        block.header.increaseNonce();
+      }
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw('required bits are ' + Block.genesis.header.bits.toString(16));
+    });
+
+    it('rejects blocks whose bits are not the required ones', function() {
+      var blockchain = createBlockchain();
+      return mineWithSpacing(blockchain, 1, 3).then(function() {
+        return mineBlock(blockchain, []);
+      }).then(function(block) {
+        block.bits.should.equal(powLimit);
+        blockchain.isValidBlock(block).should.equal(false);
+        (function() {
+          blockchain.checkValidBlock(block);
+        }).should.throw('required bits are 201fffff');
+      });
+    });
+  });
+
+  describe('header validation', function() {
+
+    var solve = function(block) {
+      do {
+        block.header.increaseNonce();
+      } while (!block.header.validProofOfWork());
+      return block;
+    };
+
+    var createBlock = function(header) {
+      var coinbase = new Transaction()
+        .at(0, 1)
+        .to(privKey.publicKey)
+        .colored(0xff0000ff);
+      return Block.fromCoinbase(coinbase, _.extend({
+        height: 1,
+        prevHash: Block.genesis.hash,
+        time: Block.genesis.header.time + 60
+      }, header));
+    };
+
+    var blockchain;
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      return blockchain.proposeNewBlock(Block.genesis);
+    });
+
+    it('accepts a well formed block', function() {
+      blockchain.checkValidBlock(solve(createBlock())).should.equal(true);
+    });
+
+    it('rejects an unknown version', function() {
+      var block = createBlock();
+      block.header.version = BlockHeader.Constants.CURRENT_VERSION + 1;
+      solve(block);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.UnknownVersion);
+    });
+
+    it('rejects a height that does not follow its parent', function() {
+      var block = solve(createBlock({
+        height: 5
+      }));
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.InvalidHeight);
+    });
+
+    it('rejects a block with bogus proof of work', function() {
+      var block = createBlock();
+      while (block.header.validProofOfWork()) {
+        block.header.increaseNonce();
+      }
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.InvalidProofOfWork);
+    });
+
+    it('rejects a timestamp too far in the future', function() {
+      var block = solve(createBlock({
+        time: Math.floor(new Date().getTime() / 1000) + BlockHeader.Constants.MAX_TIME_OFFSET + 60
+      }));
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.InvalidTimestamp);
+    });
+
+    it('rejects a merkle root that does not match the transactions', function() {
+      var block = createBlock();
+      block.transactions.push(new Transaction()
+        .at(0, 2)
+        .to(privKey.publicKey)
+        .colored(0xff0000ff));
+      solve(block);
+      (function() {
+        blockchain.checkValidBlock(block);
+      }).should.throw(errors.Blockchain.InvalidMerkleRoot);
+    });
+
+    it('does not accept an invalid block as the new tip', function() {
+      var block = solve(createBlock({
+        height: 5
+      }));
+      return expectRejection(blockchain.proposeNewBlock(block), errors.Blockchain.InvalidHeight).then(function() {
+        blockchain.tip.should.equal(Block.genesis.hash);
+      });
+    });
+  });
+
+  describe('median time past', function() {
+
+    it('is the median of the last blocks', function() {
+      var blockchain = createBlockchain();
+      return blockchain.getTipBlock().then(function() {
+        blockchain.getMedianTimePast().should.equal(Block.genesis.header.time);
+        return mineWithSpacing(blockchain, 10, 12);
+      }).then(function() {
+        // the last 11 blocks are 10 seconds apart, the median is the 6th
+        blockchain.getMedianTimePast().should.equal(Block.genesis.header.time + 70);
+      });
+    });
+
+    it('rejects a block that is not after the median time past', function() {
+      var blockchain = createBlockchain();
+      return mineWithSpacing(blockchain, 10, 3).then(function() {
+        return blockchain.getTipBlock();
+      }).then(function(tip) {
+        var block = runMiner(new Miner({
+          coinbase: new Transaction()
+            .at(0, tip.height + 1)
+            .to(privKey.publicKey)
+            .colored(0xff0000ff),
+          previous: tip,
+          time: blockchain.getMedianTimePast(),
+          blockchain: blockchain
+        }));
+        (function() {
+          blockchain.checkValidBlock(block);
+        }).should.throw(errors.Blockchain.TimeTooOld);
+      });
+    });
+
+    it('lets the miner pick a time after the median time past', function() {
+      var blockchain = createBlockchain();
+      return mineWithSpacing(blockchain, 10, 3).then(function() {
+        return blockchain.getTipBlock();
+      }).then(function(tip) {
+        var block = runMiner(new Miner({
+          coinbase: new Transaction()
+            .at(0, tip.height + 1)
+            .to(privKey.publicKey)
+            .colored(0xff0000ff),
+          previous: tip,
+          clock: Clock.fixed(Block.genesis.header.time - 1000),
+          blockchain: blockchain
+        }));
+        block.header.time.should.equal(blockchain.getMedianTimePast() + 1);
+        blockchain.checkValidBlock(block).should.equal(true);
+      });
+    });
+
+    it('uses its clock to reject blocks from the future', function() {
+      var blockchain = new Blockchain({
+        clock: Clock.fixed(Block.genesis.header.time - BlockHeader.Constants.MAX_TIME_OFFSET - 1)
+      });
+      (function() {
+        blockchain.checkValidBlock(Block.genesis);
+      }).should.throw(errors.Blockchain.InvalidTimestamp);
+    });
+  });
+
+  describe('orphan blocks', function() {
+
+    var blocks;
+    before(function() {
+      var source = createBlockchain();
+      return mineWithSpacing(source, 60, 4).then(function() {
+        return blocksOf(source);
+      }).then(function(mined) {
+        blocks = [Block.genesis].concat(mined);
+      });
+    });
+
+    it('keeps blocks with an unknown parent and requests the missing ancestor', function() {
+      var blockchain = createBlockchain();
+      var requested = [];
+      blockchain.on('block:request', function(hash) {
+        requested.push(hash);
+      });
+
+      blockchain.proposeNewBlock(blocks[3]);
+      return blockchain.proposeNewBlock(blocks[2]).then(function() {
+        blockchain.isOrphan(blocks[3].hash).should.equal(true);
+        blockchain.isOrphan(blocks[2].hash).should.equal(true);
+        blockchain.tip.should.equal(Block.genesis.hash);
+        requested.should.deep.equal([blocks[2].hash, blocks[1].hash]);
+      });
+    });
+
+    it('connects orphans recursively once their parent is accepted', function() {
+      var blockchain = createBlockchain();
+      blockchain.proposeNewBlock(blocks[4]);
+      blockchain.proposeNewBlock(blocks[3]);
+      blockchain.proposeNewBlock(blocks[2]);
+
+      return blockchain.proposeNewBlock(blocks[1]).then(function(result) {
+        blockchain.tip.should.equal(blocks[4].hash);
+        result.confirmed.should.deep.equal(_.pluck(blocks.slice(1), 'hash'));
+        _.size(blockchain.orphans).should.equal(0);
+        _.size(blockchain.orphansByPrev).should.equal(0);
+      });
+    });
+
+    it('evicts the oldest orphan when the pool is full', function() {
+      var clock = Clock.adjusted(Clock.fixed(Block.genesis.header.time));
+      var blockchain = new Blockchain({
+        network: 'retargetnet',
+        clock: clock,
+        maxOrphans: 2
+      });
       blockchain.proposeNewBlock(Block.genesis);
+      return blockchain.proposeNewBlock(blocks[2]).then(function() {
+        clock.setOffset(1);
+        return blockchain.proposeNewBlock(blocks[3]);
+      }).then(function() {
+        clock.setOffset(2);
+        return blockchain.proposeNewBlock(blocks[4]);
+      }).then(function() {
+        blockchain.isOrphan(blocks[2].hash).should.equal(false);
+        blockchain.isOrphan(blocks[3].hash).should.equal(true);
+        blockchain.isOrphan(blocks[4].hash).should.equal(true);
+      });
+    });
 
-      var block1, block2;
-      mineBlock(blockchain, [], null, function(block) {
-        block1 = block;
-        blockchain.proposeNewBlock(block);
+    it('discards orphans older than the maximum age', function() {
+      var clock = Clock.adjusted(Clock.fixed(Block.genesis.header.time));
+      var blockchain = new Blockchain({
+        network: 'retargetnet',
+        clock: clock,
+        maxOrphanAge: 60
+      });
+      blockchain.proposeNewBlock(Block.genesis);
+      return blockchain.proposeNewBlock(blocks[2]).then(function() {
+        clock.setOffset(61);
+        return blockchain.proposeNewBlock(blocks[4]);
+      }).then(function() {
+        blockchain.isOrphan(blocks[2].hash).should.equal(false);
+        blockchain.isOrphan(blocks[4].hash).should.equal(true);
+      });
+    });
+
+    it('does not keep orphans with an invalid proof of work', function() {
+      var blockchain = createBlockchain();
+      var block = Block.fromString(blocks[2].toString());
+      while (block.header.validProofOfWork()) {
+        block.header.increaseNonce();
+      }
+      return expectRejection(blockchain.proposeNewBlock(block), errors.Blockchain.InvalidProofOfWork).then(function() {
+        blockchain.isOrphan(block.hash).should.equal(false);
+      });
+    });
+
+    it('discards invalid orphans and their descendants', function() {
+      var blockchain = createBlockchain();
+      var invalid = [];
+      blockchain.on('block:invalid', function(block) {
+        invalid.push(block.hash);
+      });
+      var block = Block.fromString(blocks[2].toString());
+      block.header.version = BlockHeader.Constants.CURRENT_VERSION + 1;
+      while (!block.header.validProofOfWork()) {
+        block.header.increaseNonce();
+      }
+      var child = new Block({
+        header: BlockHeader.create({
+          height: 3,
+          prevHash: block.hash,
+          time: block.header.time + 60
+        }),
+        transactions: [blocks[3].transactions[0]]
+      });
+      while (!child.header.validProofOfWork()) {
+        child.header.increaseNonce();
+      }
+
+      blockchain.proposeNewBlock(block);
+      blockchain.proposeNewBlock(child);
+      return blockchain.proposeNewBlock(blocks[1]).then(function() {
+        blockchain.tip.should.equal(blocks[1].hash);
+        invalid.should.deep.equal([block.hash]);
+        blockchain.isOrphan(child.hash).should.equal(false);
+      });
+    });
+  });
+
+  describe('pixel history', function() {
 
+    var blockchain, A, B;
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        blockchain.proposeNewBlock(A);
         var tx = new Transaction()
-          .from(block1.transactions[0])
+          .from(A.transactions[0])
           .to(privKey.publicKey)
           .colored(0x00fff0ff)
           .sign(privKey);
+        return mineBlock(blockchain, [tx]);
+      }).then(function(mined) {
+        B = mined;
+        return blockchain.proposeNewBlock(B);
+      });
+    });
 
-        // Corrupt signature
-        tx.signature.r.words[1]++;
+    var summarize = function(history) {
+      return _.map(history, function(entry) {
+        return [entry.tx.hash, entry.blockHash, entry.height];
+      });
+    };
+
+    it('lists the transactions of a position from the oldest', function() {
+      return blockchain.getPixelHistory(0, 1).then(function(history) {
+        summarize(history).should.deep.equal([
+          [A.transactions[0].hash, A.hash, 1],
+          [B.transactions[1].hash, B.hash, 2]
+        ]);
+        return blockchain.getPixelHistory(5, 5);
+      }).then(function(history) {
+        history.should.deep.equal([]);
+      });
+    });
+
+    it('returns pages of the history', function() {
+      return blockchain.getPixelHistory(0, 1, {
+        offset: 1,
+        limit: 1
+      }).then(function(history) {
+        summarize(history).should.deep.equal([
+          [B.transactions[1].hash, B.hash, 2]
+        ]);
+        return blockchain.getPixelHistory(0, 1, {
+          limit: 1
+        });
+      }).then(function(history) {
+        summarize(history).should.deep.equal([
+          [A.transactions[0].hash, A.hash, 1]
+        ]);
+      });
+    });
+
+    it('drops the transactions of disconnected blocks', function() {
+      var other = new Blockchain();
+      other.proposeNewBlock(Block.genesis);
+      var C, D, E;
+      return mineBlock(other, [], 0xFFFFFFFF).then(function(mined) {
+        C = mined;
+        other.proposeNewBlock(C);
+        return mineBlock(other, []);
+      }).then(function(mined) {
+        D = mined;
+        other.proposeNewBlock(D);
+        return mineBlock(other, []);
+      }).then(function(mined) {
+        E = mined;
+        blockchain.proposeNewBlock(C);
+        blockchain.proposeNewBlock(D);
+        blockchain.proposeNewBlock(E);
+        return blockchain.getPixelHistory(0, 1);
+      }).then(function(history) {
+        summarize(history).should.deep.equal([
+          [C.transactions[0].hash, C.hash, 1]
+        ]);
+        return blockchain.getPixelHistory(0, 0);
+      }).then(function(history) {
+        summarize(history).should.deep.equal([
+          [Block.genesis.transactions[0].hash, Block.genesis.hash, 0]
+        ]);
+      });
+    });
+
+    it('is rebuilt when restoring a snapshot', function() {
+      return blockchain.toBuffer().then(function(buffer) {
+        return Blockchain.fromBuffer(buffer);
+      }).then(function(restored) {
+        return restored.getPixelHistory(0, 1);
+      }).then(function(history) {
+        summarize(history).should.deep.equal([
+          [A.transactions[0].hash, A.hash, 1],
+          [B.transactions[1].hash, B.hash, 2]
+        ]);
+      });
+    });
+  });
+
+  describe('pixels by owner', function() {
+
+    var otherKey = new PrivateKey();
+    var blockchain, A, B;
+    beforeEach(function() {
+      blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        blockchain.proposeNewBlock(A);
+        var tx = new Transaction()
+          .from(A.transactions[0])
+          .to(otherKey.publicKey)
+          .colored(0x00fff0ff)
+          .sign(privKey);
+        return mineBlock(blockchain, [tx]);
+      }).then(function(mined) {
+        B = mined;
+        return blockchain.proposeNewBlock(B);
+      });
+    });
+
+    it('lists the pixels owned by a public key', function() {
+      _.pluck(blockchain.getPixelsByOwner(privKey.publicKey), 'hash').should.deep.equal([B.transactions[0].hash]);
+      _.pluck(blockchain.getPixelsByOwner(otherKey.publicKey), 'hash').should.deep.equal([B.transactions[1].hash]);
+      blockchain.countPixelsByOwner(privKey.publicKey).should.equal(1);
+      blockchain.countPixelsByOwner(Block.genesis.transactions[0].owner).should.equal(1);
+    });
+
+    it('accepts a public key as a string', function() {
+      blockchain.countPixelsByOwner(otherKey.publicKey.toString()).should.equal(1);
+    });
+
+    it('accepts the uncompressed form of a public key', function() {
+      var point = otherKey.publicKey.point;
+      var uncompressed = Buffer.concat([
+        new Buffer([0x04]),
+        point.getX().toBuffer({size: 32}),
+        point.getY().toBuffer({size: 32})
+      ]);
+      _.pluck(blockchain.getPixelsByOwner(uncompressed.toString('hex')), 'hash').should.deep.equal([B.transactions[1].hash]);
+      blockchain.countPixelsByOwner(uncompressed).should.equal(1);
+      blockchain.countPixelsByOwner(otherKey.publicKey.toObject()).should.equal(1);
+    });
+
+    it('has no pixels for an unknown key', function() {
+      var key = new PrivateKey().publicKey;
+      blockchain.getPixelsByOwner(key).should.deep.equal([]);
+      blockchain.countPixelsByOwner(key).should.equal(0);
+    });
+
+    it('is updated when blocks are disconnected', function() {
+      var other = new Blockchain();
+      other.proposeNewBlock(Block.genesis);
+      return mineBlock(other, [], 0xFFFFFFFF).then(function(C) {
+        other.proposeNewBlock(C);
+        blockchain.proposeNewBlock(C);
+        return mineBlock(other, []);
+      }).then(function(D) {
+        other.proposeNewBlock(D);
+        blockchain.proposeNewBlock(D);
+        return mineBlock(other, []);
+      }).then(function(E) {
+        return blockchain.proposeNewBlock(E);
+      }).then(function() {
+        blockchain.countPixelsByOwner(privKey.publicKey).should.equal(3);
+        blockchain.countPixelsByOwner(otherKey.publicKey).should.equal(0);
+        blockchain.owners.should.not.have.property(otherKey.publicKey._getID().toString('hex'));
+      });
+    });
+  });
 
-        mineBlock(blockchain, [tx], null, function(block) {
-          block2 = block;
-          (function() {
-            blockchain.proposeNewBlock(block);
-          }).should.throw('Invalid Argument');
+  describe('regions', function() {
 
-          cb();
+    it('finds the mined pixels inside a rectangle', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      return mineBlock(blockchain, []).then(function(A) {
+        return blockchain.proposeNewBlock(A).then(function() {
+          _.pluck(blockchain.getRegion(0, 1, 5, 5), 'hash').should.deep.equal([A.transactions[0].hash]);
+          blockchain.getRegion(-2, -2, 2, 2).length.should.equal(2);
+          blockchain.getRegion(1, 0, 5, 5).should.deep.equal([]);
         });
-      })
+      });
+    });
+
+    it('is updated when blocks are disconnected', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var other = new Blockchain();
+      other.proposeNewBlock(Block.genesis);
+      var A, C;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        blockchain.proposeNewBlock(A);
+        return mineBlock(other, [], 0xFFFFFFFF);
+      }).then(function(mined) {
+        C = mined;
+        other.proposeNewBlock(C);
+        return mineBlock(other, []);
+      }).then(function(D) {
+        blockchain.proposeNewBlock(C);
+        return blockchain.proposeNewBlock(D);
+      }).then(function() {
+        _.pluck(blockchain.getRegion(0, 1, 0, 1), 'hash').should.deep.equal([C.transactions[0].hash]);
+        blockchain.getRegion(-10, -10, 10, 10).length.should.equal(3);
+      });
+    });
+  });
+
+  describe('frontier', function() {
 
+    it('has the positions next to the genesis pixel', function() {
+      var blockchain = new Blockchain();
+      return blockchain.proposeNewBlock(Block.genesis).then(function() {
+        blockchain.getFrontier().should.deep.equal([
+          {x: 0, y: -1},
+          {x: -1, y: 0},
+          {x: 1, y: 0},
+          {x: 0, y: 1}
+        ]);
+      });
+    });
+
+    it('follows the mined pixels', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var A;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        return blockchain.proposeNewBlock(A);
+      }).then(function() {
+        blockchain.getFrontier().should.deep.equal([
+          {x: 0, y: -1},
+          {x: -1, y: 0},
+          {x: 1, y: 0},
+          {x: -1, y: 1},
+          {x: 1, y: 1},
+          {x: 0, y: 2}
+        ]);
+      });
+    });
+
+    it('is empty without mined pixels', function() {
+      new Blockchain().getFrontier().should.deep.equal([]);
+    });
+  });
+
+  describe('events', function() {
+
+    var recordEvents = function(blockchain) {
+      var events = [];
+      var record = function(name, describe) {
+        blockchain.on(name, function() {
+          events.push([name].concat(describe.apply(null, arguments)));
+        });
+      };
+      var hashOf = function(tx) {
+        return tx ? tx.hash : undefined;
+      };
+      record('pixel:changed', function(position, oldTx, newTx) {
+        return [position.x + '_' + position.y, hashOf(oldTx), hashOf(newTx)];
+      });
+      record('block:connected', function(block) {
+        return [block.hash];
+      });
+      record('block:disconnected', function(block) {
+        return [block.hash];
+      });
+      record('reorg', function(result) {
+        return [result.unconfirmed, result.confirmed];
+      });
+      record('tip', function(block) {
+        return [block.hash];
+      });
+      return events;
+    };
+
+    it('emits pixel changes, the connected block and the new tip', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var coinbase, tx;
+      return mineBlock(blockchain, []).then(function(A) {
+        blockchain.proposeNewBlock(A);
+        coinbase = A.transactions[0];
+        tx = new Transaction()
+          .from(coinbase)
+          .to(privKey.publicKey)
+          .colored(0x00fff0ff)
+          .sign(privKey);
+        return mineBlock(blockchain, [tx]);
+      }).then(function(B) {
+        var events = recordEvents(blockchain);
+        return blockchain.proposeNewBlock(B).then(function() {
+          events.should.deep.equal([
+            ['pixel:changed', '0_2', undefined, B.transactions[0].hash],
+            ['pixel:changed', '0_1', coinbase.hash, tx.hash],
+            ['block:connected', B.hash],
+            ['tip', B.hash]
+          ]);
+        });
+      });
+    });
+
+    it('emits disconnections before connections and the reorg before the tip', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
+
+      var A, B, events;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        blockchain.proposeNewBlock(A);
+        return mineBlock(blockchain2, [], 0xFFFFFFFF);
+      }).then(function(mined) {
+        B = mined;
+        blockchain2.proposeNewBlock(B);
+        return mineBlock(blockchain2, []);
+      }).then(function(C) {
+        return blockchain.proposeNewBlock(B).then(function() {
+          events = recordEvents(blockchain);
+          return blockchain.proposeNewBlock(C);
+        }).then(function() {
+          events.should.deep.equal([
+            ['pixel:changed', '0_1', A.transactions[0].hash, undefined],
+            ['block:disconnected', A.hash],
+            ['pixel:changed', '0_1', undefined, B.transactions[0].hash],
+            ['block:connected', B.hash],
+            ['pixel:changed', '0_2', undefined, C.transactions[0].hash],
+            ['block:connected', C.hash],
+            ['reorg', [A.hash], [B.hash, C.hash]],
+            ['tip', C.hash]
+          ]);
+        });
+      });
+    });
+
+    it('does not emit a tip for blocks that do not extend the best chain', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
+
+      return mineBlock(blockchain, []).then(function(A) {
+        return blockchain.proposeNewBlock(A);
+      }).then(function() {
+        return mineBlock(blockchain2, [], 0xFFFFFFFF);
+      }).then(function(B) {
+        var events = recordEvents(blockchain);
+        return blockchain.proposeNewBlock(B).then(function() {
+          events.should.deep.equal([]);
+        });
+      });
+    });
+  });
+
+  describe('maximum reorganization depth', function() {
+
+    var current, fork;
+    before(function() {
+      var source = createBlockchain();
+      var forkSource = createBlockchain();
+      return mineWithSpacing(source, 60, 2).then(function() {
+        return blocksOf(source);
+      }).then(function(blocks) {
+        current = blocks;
+        return mineWithSpacing(forkSource, 61, 3);
+      }).then(function() {
+        return blocksOf(forkSource);
+      }).then(function(blocks) {
+        fork = blocks;
+      });
+    });
+
+    var createWithDepth = function(depth) {
+      var blockchain = new Blockchain({
+        network: 'retargetnet',
+        maxReorgDepth: depth
+      });
+      blockchain.proposeNewBlock(Block.genesis);
+      current.forEach(function(block) {
+        blockchain.proposeNewBlock(block);
+      });
+      return blockchain;
+    };
+
+    it('defaults to MAX_REWIND', function() {
+      new Blockchain().maxReorgDepth.should.equal(Blockchain.MAX_REWIND);
+    });
+
+    it('reorganizes up to the limit', function() {
+      var blockchain = createWithDepth(2);
+      return Promise.each(fork, function(block) {
+        return blockchain.proposeNewBlock(block);
+      }).then(function() {
+        blockchain.tip.should.equal(fork[2].hash);
+      });
+    });
+
+    it('rejects chains that fork deeper than the limit', function() {
+      var blockchain = createWithDepth(1);
+      var rejected = [];
+      blockchain.on('reorg:rejected', function(result) {
+        rejected.push(result);
+      });
+      blockchain.proposeNewBlock(fork[0]);
+      blockchain.proposeNewBlock(fork[1]);
+      return expectRejection(blockchain.proposeNewBlock(fork[2]), errors.Blockchain.ReorgTooDeep).then(function() {
+        blockchain.tip.should.equal(current[1].hash);
+        blockchain.pixels['0_2'].hash.should.equal(current[1].transactions[0].hash);
+        rejected.should.deep.equal([{
+          unconfirmed: [current[1].hash, current[0].hash],
+          confirmed: _.pluck(fork, 'hash')
+        }]);
+      });
+    });
+
+    it('can be overridden to recover', function() {
+      var blockchain = createWithDepth(1);
+      return Promise.each(fork, function(block) {
+        return blockchain.proposeNewBlock(block).catch(errors.Blockchain.ReorgTooDeep, _.noop);
+      }).then(function() {
+        blockchain.tip.should.equal(current[1].hash);
+
+        blockchain.maxReorgDepth = Infinity;
+        return blockchain.proposeNewBlock(fork[2]);
+      }).then(function() {
+        blockchain.tip.should.equal(fork[2].hash);
+      });
+    });
+  });
+
+  describe('pruning', function() {
+
+    var current, fork, sameCoinbases;
+    before(function() {
+      var source = createBlockchain();
+      var forkSource = createBlockchain();
+      var sameSource = createBlockchain();
+      var mineColored = function(blockchain, color) {
+        return blockchain.getTipBlock().then(function(tip) {
+          return blockchain.proposeNewBlock(runMiner(new Miner({
+            coinbase: new Transaction()
+              .at(0, tip.height + 1)
+              .to(privKey.publicKey)
+              .colored(color),
+            previous: tip,
+            time: tip.header.time + 60,
+            blockchain: blockchain
+          })));
+        });
+      };
+      return mineWithSpacing(source, 60, 4).then(function() {
+        return blocksOf(source);
+      }).then(function(blocks) {
+        current = blocks;
+        return mineColored(forkSource, 0x00ff00ff);
+      }).then(function() {
+        return mineColored(forkSource, 0x0000ffff);
+      }).then(function() {
+        return blocksOf(forkSource);
+      }).then(function(blocks) {
+        fork = blocks;
+        return mineWithSpacing(sameSource, 61, 1);
+      }).then(function() {
+        return blocksOf(sameSource);
+      }).then(function(blocks) {
+        sameCoinbases = blocks;
+      });
+    });
+
+    var propose = function(blockchain, blocks) {
+      return Promise.each(blocks, function(block) {
+        return blockchain.proposeNewBlock(block);
+      });
+    };
+
+    var coinbasesOf = function(blocks) {
+      return _.map(blocks, function(block) {
+        return block.transactions[0].hash;
+      });
+    };
+
+    it('removes side-chain blocks that fork more than the depth below the tip', function() {
+      var blockchain = createBlockchain();
+      return propose(blockchain, current.concat(fork)).then(function() {
+        return blockchain.prune(3);
+      }).then(function(report) {
+        report.should.deep.equal({
+          blocks: _.pluck(fork, 'hash'),
+          transactions: coinbasesOf(fork),
+          undo: []
+        });
+        fork.forEach(function(block) {
+          blockchain.hasData(block.hash).should.equal(false);
+          should.not.exist(blockchain.headers[block.hash]);
+        });
+        return Promise.map(fork, function(block) {
+          return Promise.all([blockchain.getBlock(block.hash), blockchain.getTransaction(block.transactions[0].hash)]);
+        });
+      }).then(function(found) {
+        _.flatten(found).should.deep.equal([undefined, undefined, undefined, undefined]);
+        return blockchain.checkConsistency();
+      });
+    });
+
+    it('keeps side-chain blocks within the depth', function() {
+      var blockchain = createBlockchain();
+      return propose(blockchain, current.concat(fork)).then(function() {
+        return blockchain.prune(4);
+      }).then(function(report) {
+        report.blocks.should.deep.equal([]);
+        return blockchain.getBlock(fork[1].hash);
+      }).then(function(block) {
+        block.hash.should.equal(fork[1].hash);
+      });
+    });
+
+    it('defaults to the maximum reorganization depth', function() {
+      var blockchain = new Blockchain({
+        network: 'retargetnet',
+        maxReorgDepth: 3
+      });
+      blockchain.proposeNewBlock(Block.genesis);
+      return propose(blockchain, current.concat(fork)).then(function() {
+        return blockchain.prune();
+      }).then(function(report) {
+        report.blocks.should.deep.equal(_.pluck(fork, 'hash'));
+      });
+    });
+
+    it('keeps transactions that are also in the best chain', function() {
+      var blockchain = createBlockchain();
+      return propose(blockchain, current.concat(sameCoinbases)).then(function() {
+        return blockchain.prune(1);
+      }).then(function(report) {
+        report.blocks.should.deep.equal([sameCoinbases[0].hash]);
+        report.transactions.should.deep.equal([]);
+        return blockchain.getTransaction(current[0].transactions[0].hash);
+      }).then(function(tx) {
+        tx.hash.should.equal(current[0].transactions[0].hash);
+      });
+    });
+
+    it('keeps best-chain transactions repeated by a stale block below its fork', function() {
+      var blockchain = createBlockchain();
+      var coinbase = current[0].transactions[0];
+      return propose(blockchain, current.slice(0, 1)).then(function() {
+        var side = Block.fromCoinbase(coinbase, {
+          height: 2,
+          prevHash: current[0].hash,
+          bits: blockchain.getNextRequiredBits(current[0].hash),
+          time: current[0].header.time + 30
+        });
+        while (!side.header.validProofOfWork()) {
+          side.header.increaseNonce();
+        }
+        return propose(blockchain, current.slice(1).concat([side]));
+      }).then(function() {
+        blockchain.getCurrentHeight().should.equal(4);
+        return blockchain.prune(2);
+      }).then(function(report) {
+        report.blocks.length.should.equal(1);
+        report.transactions.should.deep.equal([]);
+        return blockchain.getTransaction(coinbase.hash);
+      }).then(function(tx) {
+        tx.hash.should.equal(coinbase.hash);
+        return blockchain.getPixelHistory(0, 1);
+      }).then(function(history) {
+        history.length.should.equal(1);
+        history[0].tx.hash.should.equal(coinbase.hash);
+        return blockchain.checkConsistency();
+      });
+    });
+
+    it('removes the undo records of disconnected blocks', function() {
+      var blockchain = createBlockchain();
+      return propose(blockchain, fork.concat(current)).then(function() {
+        return blockchain.prune(3);
+      }).then(function(report) {
+        report.undo.should.deep.equal(_.pluck(fork, 'hash'));
+        return blockchain.undoStore.has(fork[0].hash);
+      }).then(function(hasUndo) {
+        hasUndo.should.equal(false);
+      });
+    });
+
+    it('prunes every time the tip changes when pruneDepth is set', function() {
+      var blockchain = new Blockchain({
+        network: 'retargetnet',
+        pruneDepth: 1
+      });
+      var reports = [];
+      blockchain.on('prune', function(report) {
+        reports.push(report);
+      });
+      blockchain.proposeNewBlock(Block.genesis);
+      return propose(blockchain, fork.concat(current.slice(0, 2))).then(function() {
+        reports.should.deep.equal([]);
+        return blockchain.proposeNewBlock(current[2]);
+      }).then(function() {
+        reports.length.should.equal(1);
+        reports[0].blocks.should.deep.equal(_.pluck(fork, 'hash'));
+        blockchain.hasData(fork[1].hash).should.equal(false);
+      });
     });
   });
 
   describe('reorg', function() {
-    it('Case: 1 block back; two forward; "move to niece"', function(callback) {
+    it('Case: 1 block back; two forward; "move to niece"', function() {
       // Genesis -> A
       //      \
       //       `----> B --> C
@@ -118,31 +1616,177 @@ describe('Blockchain', function() {
       var blockchain2 = new Blockchain();
       blockchain2.proposeNewBlock(Block.genesis);
 
-      mineBlock(blockchain, [], null, function(A) {
+      var A, B;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
         blockchain.proposeNewBlock(A);
+        return mineBlock(blockchain2, [], 0xFFFFFFFF);
+      }).then(function(mined) {
+        B = mined;
+        blockchain2.proposeNewBlock(B);
+        return mineBlock(blockchain2, []);
+      }).then(function(C) {
+        return blockchain.proposeNewBlock(B).then(function() {
+          blockchain.tip.should.equal(A.hash);
+          return blockchain.proposeNewBlock(C);
+        }).then(function() {
+          blockchain.tip.should.equal(C.hash);
 
-        var tx = new Transaction()
-          .from(A.transactions[0])
-          .to(privKey.publicKey)
-          .colored(0x00fff0ff)
-          .sign(privKey);
+          blockchain.pixels['0_1'].hash.should.equal(B.transactions[0].hash);
+          blockchain.pixels['0_2'].hash.should.equal(C.transactions[0].hash);
+        });
+      });
+    });
 
-        mineBlock(blockchain2, [], 0xFFFFFFFF, function(B) {
-          blockchain2.proposeNewBlock(B);
+    it('restores the previous chain when a block of the new one is invalid', function() {
+      // Genesis -> A
+      //      \
+      //       `----> B --> C (invalid)
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
 
-          mineBlock(blockchain2, [], null, function(C) {
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
 
+      var A, B;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        blockchain.proposeNewBlock(A);
+        return mineBlock(blockchain2, [], 0xFFFFFFFF);
+      }).then(function(mined) {
+        B = mined;
+        blockchain2.proposeNewBlock(B);
+
+        var madeUp = new Transaction()
+          .at(0, 1)
+          .from('a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458')
+          .to(privKey.publicKey)
+          .colored(0x00fff0ff);
+        return mineBlock(blockchain2, [madeUp]);
+      }).then(function(C) {
+        blockchain.proposeNewBlock(B);
+        return expectRejection(blockchain.proposeNewBlock(C), errors.Blockchain.InvalidInput);
+      }).then(function() {
+        blockchain.tip.should.equal(A.hash);
+        blockchain.getCurrentHeight().should.equal(1);
+        blockchain.hashByHeight[1].should.equal(A.hash);
+        should.not.exist(blockchain.height[B.hash]);
+        blockchain.pixels['0_1'].hash.should.equal(A.transactions[0].hash);
+      });
+    });
+    it('restores the previous owners of transferred pixels', function() {
+      // Genesis -> A -> D (transfers A's pixel)
+      //      \
+      //       `----> B --> C
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
+
+      var A, B, C;
+      return mineBlock(blockchain2, [], 0xFFFFFFFF).then(function(mined) {
+        B = mined;
+        blockchain2.proposeNewBlock(B);
+        return mineBlock(blockchain2, []);
+      }).then(function(mined) {
+        C = mined;
+        blockchain2.proposeNewBlock(C);
+        return mineBlock(blockchain2, []);
+      }).then(function(E) {
+        return mineBlock(blockchain, []).then(function(mined) {
+          A = mined;
+          blockchain.proposeNewBlock(A);
+          var tx = new Transaction()
+            .from(A.transactions[0])
+            .to(privKey.publicKey)
+            .colored(0x00fff0ff)
+            .sign(privKey);
+          return mineBlock(blockchain, [tx]);
+        }).then(function(D) {
+          return blockchain.proposeNewBlock(D).then(function() {
+            blockchain.pixels['0_1'].hash.should.equal(D.transactions[1].hash);
             blockchain.proposeNewBlock(B);
-            blockchain.tip.should.equal(A.hash);
             blockchain.proposeNewBlock(C);
-            blockchain.tip.should.equal(C.hash);
+            return blockchain.proposeNewBlock(E);
+          });
+        });
+      }).then(function(result) {
+        result.unconfirmed.length.should.equal(2);
+        blockchain.pixels['0_1'].hash.should.equal(B.transactions[0].hash);
+      });
+    });
 
-            blockchain.pixels['0_1'].should.equal(B.transactions[0]);
-            blockchain.pixels['0_2'].should.equal(C.transactions[0]);
+    it('does not need the transactions of the disconnected blocks', function() {
+      // Genesis -> A -> D (transfers A's pixel)
+      //      \
+      //       `----> B --> C --> E
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
 
-            callback();
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
+
+      var A, D;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        blockchain.proposeNewBlock(A);
+        return mineBlock(blockchain, [new Transaction()
+          .from(A.transactions[0])
+          .to(privKey.publicKey)
+          .colored(0x00fff0ff)
+          .sign(privKey)
+        ]);
+      }).then(function(mined) {
+        D = mined;
+        return blockchain.proposeNewBlock(D);
+      }).then(function() {
+        return Promise.each([A, D], function(block) {
+          return Promise.each(block.transactions, function(tx) {
+            return blockchain.txStore.delete(tx.hash);
           });
         });
+      }).then(function() {
+        return mineBlock(blockchain2, [], 0xFFFFFFFF);
+      }).then(function(B) {
+        blockchain.proposeNewBlock(B);
+        return blockchain2.proposeNewBlock(B);
+      }).then(function() {
+        return mineWithSpacing(blockchain2, 60, 2);
+      }).then(function() {
+        return blocksOf(blockchain2);
+      }).then(function(blocks) {
+        return Promise.each(blocks, function(block) {
+          return blockchain.proposeNewBlock(block);
+        });
+      }).then(function() {
+        blockchain.tip.should.equal(blockchain2.tip);
+        blockchain.pixels['0_1'].hash.should.equal(blockchain2.pixels['0_1'].hash);
+      });
+    });
+
+    it('fails to disconnect a block without its undo record', function() {
+      var blockchain = new Blockchain();
+      blockchain.proposeNewBlock(Block.genesis);
+      var blockchain2 = new Blockchain();
+      blockchain2.proposeNewBlock(Block.genesis);
+
+      var A;
+      return mineBlock(blockchain, []).then(function(mined) {
+        A = mined;
+        return blockchain.proposeNewBlock(A);
+      }).then(function() {
+        return blockchain.undoStore.delete(A.hash);
+      }).then(function() {
+        return mineBlock(blockchain2, [], 0xFFFFFFFF);
+      }).then(function(B) {
+        blockchain.proposeNewBlock(B);
+        blockchain2.proposeNewBlock(B);
+        return mineBlock(blockchain2, []);
+      }).then(function(C) {
+        return expectRejection(blockchain.proposeNewBlock(C), errors.Blockchain.MissingUndo);
+      }).then(function() {
+        blockchain.tip.should.equal(A.hash);
       });
     });
   });
@@ -0,0 +1,74 @@
+'use strict';
+
+var should = require('chai').should();
+
+var bitcore = require('../..');
+var Frontier = bitcore.map.Frontier;
+
+describe('Frontier', function() {
+
+  var frontier = [
+    {x: 0, y: -1},
+    {x: -1, y: 0},
+    {x: 1, y: 0},
+    {x: 5, y: 4},
+    {x: 6, y: 4}
+  ];
+
+  describe('nearest', function() {
+
+    it('picks the position closest to the point', function() {
+      Frontier.nearest({x: 10, y: 5})(frontier).should.equal(frontier[4]);
+      Frontier.nearest({x: 2, y: 0})(frontier).should.equal(frontier[2]);
+    });
+
+    it('picks the first of the closest positions', function() {
+      Frontier.nearest({x: 0, y: 0})(frontier).should.equal(frontier[0]);
+    });
+
+    it('requires a point', function() {
+      (function() {
+        Frontier.nearest({x: 1});
+      }).should.throw('point needs an x and a y');
+    });
+  });
+
+  describe('random', function() {
+
+    it('picks a position with the random number generator', function() {
+      Frontier.random(function() {
+        return 0;
+      })(frontier).should.equal(frontier[0]);
+      Frontier.random(function() {
+        return 0.99;
+      })(frontier).should.equal(frontier[4]);
+    });
+
+    it('defaults to Math.random', function() {
+      frontier.should.contain(Frontier.random()(frontier));
+    });
+  });
+
+  describe('region', function() {
+
+    var bbox = {x0: 4, y0: 3, x1: 10, y1: 10};
+
+    it('picks the position inside the region nearest to its center', function() {
+      Frontier.region(bbox)(frontier).should.equal(frontier[4]);
+    });
+
+    it('picks among the positions inside the region with a strategy', function() {
+      Frontier.region(bbox, Frontier.nearest({x: 0, y: 0}))(frontier).should.equal(frontier[3]);
+    });
+
+    it('picks the position nearest to the region when there are none inside', function() {
+      Frontier.region({x0: -20, y0: 0, x1: -10, y1: 0})(frontier).should.equal(frontier[1]);
+    });
+
+    it('checks the region', function() {
+      (function() {
+        Frontier.region({x0: 1, y0: 0, x1: 0, y1: 0});
+      }).should.throw('The region must go from the lowest to the highest coordinates');
+    });
+  });
+});
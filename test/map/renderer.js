@@ -0,0 +1,170 @@
+'use strict';
+/* jshint unused: false */
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var zlib = require('zlib');
+
+var bitcore = require('../..');
+var Block = bitcore.Block;
+var Blockchain = bitcore.Blockchain;
+var PrivateKey = bitcore.PrivateKey;
+var Renderer = bitcore.map.Renderer;
+var Transaction = bitcore.Transaction;
+
+describe('Renderer', function() {
+
+  var owner = new PrivateKey().publicKey;
+  var pixelAt = function(x, y, color) {
+    return new Transaction()
+      .at(x, y)
+      .to(owner)
+      .colored(color);
+  };
+  var pixels = [
+    pixelAt(0, 0, 0xff0000ff),
+    pixelAt(1, 1, 0x00ff0080)
+  ];
+
+  var colorAt = function(image, x, y) {
+    return image.data.readUInt32BE((y * image.width + x) * 4);
+  };
+
+  describe('render', function() {
+
+    it('draws the smallest area that contains every pixel', function() {
+      var image = Renderer.render(pixels);
+      image.width.should.equal(2);
+      image.height.should.equal(2);
+      colorAt(image, 0, 0).should.equal(0xff0000ff);
+      colorAt(image, 1, 0).should.equal(0);
+      colorAt(image, 1, 1).should.equal(0x00ff0080);
+    });
+
+    it('draws the pixels of a blockchain', function() {
+      var blockchain = new Blockchain();
+      return blockchain.proposeNewBlock(Block.genesis).then(function() {
+        var image = Renderer.render(blockchain);
+        image.width.should.equal(1);
+        colorAt(image, 0, 0).should.equal(Block.genesis.transactions[0].color);
+      });
+    });
+
+    it('scales the pixels and paints a background', function() {
+      var image = Renderer.render(pixels, {
+        scale: 3,
+        background: 0xffffffff
+      });
+      image.width.should.equal(6);
+      image.height.should.equal(6);
+      colorAt(image, 2, 2).should.equal(0xff0000ff);
+      colorAt(image, 3, 2).should.equal(0xffffffff);
+      colorAt(image, 5, 5).should.equal(0x00ff0080);
+    });
+
+    it('only draws the bounding box', function() {
+      var image = Renderer.render(pixels, {
+        bbox: {
+          x0: 1,
+          y0: 0,
+          x1: 3,
+          y1: 1
+        }
+      });
+      image.width.should.equal(3);
+      image.height.should.equal(2);
+      colorAt(image, 0, 0).should.equal(0);
+      colorAt(image, 0, 1).should.equal(0x00ff0080);
+    });
+
+    it('needs a bounding box when there are no pixels', function() {
+      expect(function() {
+        return Renderer.render([]);
+      }).to.throw('There are no pixels to render, a bounding box is required');
+    });
+
+    it('rejects a scale that is not a positive integer', function() {
+      expect(function() {
+        return Renderer.render(pixels, {
+          scale: 1.5
+        });
+      }).to.throw('scale must be a positive integer');
+    });
+  });
+
+  describe('toPNG', function() {
+
+    it('writes an RGBA PNG', function() {
+      var image = Renderer.render(pixels);
+      var png = Renderer.toPNG(image);
+      png.slice(0, 8).toString('hex').should.equal('89504e470d0a1a0a');
+      png.slice(12, 16).toString().should.equal('IHDR');
+      png.readUInt32BE(16).should.equal(2);
+      png.readUInt32BE(20).should.equal(2);
+      png[25].should.equal(6);
+
+      var idatLength = png.readUInt32BE(33);
+      png.slice(37, 41).toString().should.equal('IDAT');
+      var raw = zlib.inflateSync(png.slice(41, 41 + idatLength));
+      raw.toString('hex').should.equal('00' + 'ff0000ff' + '00000000' + '00' + '00000000' + '00ff0080');
+      png.slice(png.length - 8, png.length - 4).toString().should.equal('IEND');
+    });
+
+    it('computes the checksum of the chunks', function() {
+      var png = Renderer.toPNG(Renderer.render(pixels));
+      // IEND is always the same
+      png.slice(png.length - 12).toString('hex').should.equal('0000000049454e44ae426082');
+    });
+  });
+
+  describe('toPPM', function() {
+
+    it('writes a binary PPM, blending colors over black', function() {
+      var ppm = Renderer.toPPM(Renderer.render(pixels));
+      var header = 'P6\n2 2\n255\n';
+      ppm.slice(0, header.length).toString().should.equal(header);
+      ppm.slice(header.length).toString('hex').should.equal('ff0000' + '000000' + '000000' + '008000');
+    });
+  });
+
+  describe('writeFile', function() {
+
+    var dir = path.join(os.tmpdir(), 'decentraland-renderer-' + process.pid);
+    before(function() {
+      fs.mkdirSync(dir);
+    });
+    after(function() {
+      fs.readdirSync(dir).forEach(function(file) {
+        fs.unlinkSync(path.join(dir, file));
+      });
+      fs.rmdirSync(dir);
+    });
+
+    it('picks the format from the file name', function() {
+      var file = path.join(dir, 'map.png');
+      return Renderer.writeFile(pixels, file).then(function() {
+        fs.readFileSync(file).toString('hex').should.equal(Renderer.toPNG(Renderer.render(pixels)).toString('hex'));
+      });
+    });
+
+    it('can be given the format', function() {
+      var file = path.join(dir, 'map.img');
+      return Renderer.writeFile(pixels, file, {
+        format: 'ppm',
+        scale: 2
+      }).then(function() {
+        fs.readFileSync(file).slice(0, 2).toString().should.equal('P6');
+      });
+    });
+
+    it('rejects unknown formats', function() {
+      expect(function() {
+        return Renderer.writeFile(pixels, path.join(dir, 'map.gif'));
+      }).to.throw('Unknown image format: gif');
+    });
+  });
+
+});
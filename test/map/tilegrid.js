@@ -0,0 +1,64 @@
+'use strict';
+/* jshint unused: false */
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+var _ = require('lodash');
+
+var bitcore = require('../..');
+var TileGrid = bitcore.map.TileGrid;
+
+describe('TileGrid', function() {
+
+  var grid;
+  beforeEach(function() {
+    grid = new TileGrid({
+      tileSize: 4
+    });
+    grid.set(0, 0, 'a');
+    grid.set(3, 3, 'b');
+    grid.set(4, 0, 'c');
+    grid.set(-1, -5, 'd');
+    grid.set(100, 100, 'e');
+  });
+
+  it('defaults to TILE_SIZE', function() {
+    new TileGrid().tileSize.should.equal(TileGrid.TILE_SIZE);
+  });
+
+  it('gets, replaces and deletes values', function() {
+    grid.get(3, 3).should.equal('b');
+    grid.set(3, 3, 'f');
+    grid.get(3, 3).should.equal('f');
+    grid.size.should.equal(5);
+    grid.delete(3, 3);
+    should.not.exist(grid.get(3, 3));
+    grid.size.should.equal(4);
+    should.not.exist(grid.get(7, 7));
+  });
+
+  it('drops empty tiles', function() {
+    grid.delete(100, 100);
+    grid.delete(100, 100);
+    _.size(grid.tiles).should.equal(3);
+    grid.size.should.equal(4);
+  });
+
+  it('finds the values inside a rectangle, bounds included', function() {
+    grid.query(0, 0, 3, 3).sort().should.deep.equal(['a', 'b']);
+    grid.query(1, 0, 4, 3).sort().should.deep.equal(['b', 'c']);
+    grid.query(-1, -5, -1, -5).should.deep.equal(['d']);
+    grid.query(5, 5, 99, 99).should.deep.equal([]);
+  });
+
+  it('finds the values of a rectangle larger than the map', function() {
+    grid.query(-1e6, -1e6, 1e6, 1e6).sort().should.deep.equal(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  it('rejects a rectangle with its corners swapped', function() {
+    expect(function() {
+      return grid.query(3, 3, 0, 0);
+    }).to.throw('The rectangle must go from the lowest to the highest coordinates');
+  });
+
+});
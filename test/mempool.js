@@ -0,0 +1,235 @@
+'use strict';
+
+var chai = require('chai');
+var should = chai.should();
+
+var bitcore = require('../');
+var Block = bitcore.Block;
+var Blockchain = bitcore.Blockchain;
+var Mempool = bitcore.Mempool;
+var Miner = bitcore.Miner;
+var PrivateKey = bitcore.PrivateKey;
+var Transaction = bitcore.Transaction;
+var errors = bitcore.errors;
+var _ = bitcore.deps._;
+
+describe('Mempool', function() {
+
+  var privKey = new PrivateKey('ecf4fd8e3c6b7cebeb028ceada16a24e266869e352e80971438bbb03db1c54e4');
+  var otherKey = new PrivateKey();
+
+  var mineBlock = function(blockchain, transactions, color) {
+    return blockchain.getTipBlock().then(function(tip) {
+      var miner = new Miner({
+        coinbase: new Transaction()
+          .at(0, tip.height + 1)
+          .to(privKey.publicKey)
+          .colored(color || 0xff0000ff),
+        previous: tip,
+        time: tip.header.time + 60
+      });
+      transactions.forEach(function(tx) {
+        miner.addTransaction(tx);
+      });
+      var found;
+      miner.on('block', function(block) {
+        found = block;
+      });
+      miner.run();
+      return found;
+    });
+  };
+
+  var transfer = function(previous, key, to, color) {
+    return new Transaction()
+      .from(previous)
+      .to(to.publicKey)
+      .colored(color || 0x00ff00ff)
+      .sign(key);
+  };
+
+  var blockchain, mempool, A;
+  beforeEach(function() {
+    blockchain = new Blockchain();
+    blockchain.proposeNewBlock(Block.genesis);
+    return mineBlock(blockchain, []).then(function(mined) {
+      A = mined;
+      return blockchain.proposeNewBlock(A);
+    }).then(function() {
+      mempool = new Mempool(blockchain);
+    });
+  });
+
+  var hashesOf = function(transactions) {
+    return _.pluck(transactions, 'hash');
+  };
+
+  var expectError = function(tx, expected) {
+    (function() {
+      mempool.add(tx);
+    }).should.throw(expected);
+  };
+
+  it('accepts a transfer of the current transaction of a pixel', function() {
+    var added = [];
+    mempool.on('transaction', function(tx) {
+      added.push(tx);
+    });
+    var tx = transfer(A.transactions[0], privKey, otherKey);
+    mempool.add(tx);
+    mempool.has(tx.hash).should.equal(true);
+    mempool.get(tx.hash).hash.should.equal(tx.hash);
+    hashesOf(added).should.deep.equal(hashesOf([tx]));
+  });
+
+  it('accepts chains of transfers of the same pixel', function() {
+    var first = transfer(A.transactions[0], privKey, otherKey);
+    var second = transfer(first, otherKey, privKey);
+    mempool.add(first);
+    mempool.add(second);
+    hashesOf(mempool.getTransactions()).should.deep.equal(hashesOf([first, second]));
+  });
+
+  it('rejects two transfers that spend the same transaction', function() {
+    mempool.add(transfer(A.transactions[0], privKey, otherKey));
+    expectError(transfer(A.transactions[0], privKey, privKey), errors.Mempool.Conflict);
+  });
+
+  it('rejects coinbases', function() {
+    expectError(new Transaction().at(1, 1).to(privKey.publicKey).colored(0xff0000ff), errors.Mempool.Coinbase);
+  });
+
+  it('rejects a transaction already in the pool', function() {
+    var tx = transfer(A.transactions[0], privKey, otherKey);
+    mempool.add(tx);
+    expectError(tx, errors.Mempool.AlreadyInPool);
+  });
+
+  it('rejects a transfer of a pixel that was not mined', function() {
+    var tx = new Transaction()
+      .at(5, 5)
+      .from(A.transactions[0].hash)
+      .to(otherKey.publicKey)
+      .colored(0x00ff00ff);
+    expectError(tx, errors.Blockchain.MissingInput);
+  });
+
+  it('rejects a transfer of a transaction that is not the current one', function() {
+    var first = transfer(A.transactions[0], privKey, otherKey);
+    expectError(transfer(first, otherKey, privKey), errors.Blockchain.InvalidInput);
+  });
+
+  it('rejects a transfer not signed by the owner', function() {
+    var tx = transfer(A.transactions[0], privKey, otherKey);
+    tx.signature.r.words[1]++;
+    expectError(tx, errors.Blockchain.InvalidSignature);
+  });
+
+  it('removes transactions with the ones that depend on them', function() {
+    var first = transfer(A.transactions[0], privKey, otherKey);
+    var second = transfer(first, otherKey, privKey);
+    mempool.add(first);
+    mempool.add(second);
+    hashesOf(mempool.remove(first.hash)).should.deep.equal(hashesOf([second, first]));
+    mempool.getTransactions().should.deep.equal([]);
+    mempool.add(transfer(A.transactions[0], privKey, privKey));
+  });
+
+  describe('following the blockchain', function() {
+
+    var first, second, evicted;
+    beforeEach(function() {
+      first = transfer(A.transactions[0], privKey, otherKey);
+      second = transfer(first, otherKey, privKey);
+      mempool.add(first);
+      mempool.add(second);
+      evicted = [];
+      mempool.on('evicted', function(tx) {
+        evicted.push(tx);
+      });
+    });
+
+    it('removes the transactions included in a new block', function() {
+      return mineBlock(blockchain, [first]).then(function(block) {
+        return blockchain.proposeNewBlock(block);
+      }).then(function() {
+        hashesOf(mempool.getTransactions()).should.deep.equal(hashesOf([second]));
+        evicted.should.deep.equal([]);
+        mempool.add(transfer(second, privKey, otherKey));
+      });
+    });
+
+    it('evicts the transactions that conflict with a new block', function() {
+      return mineBlock(blockchain, [transfer(A.transactions[0], privKey, privKey)]).then(function(block) {
+        return blockchain.proposeNewBlock(block);
+      }).then(function() {
+        mempool.getTransactions().should.deep.equal([]);
+        hashesOf(evicted).should.deep.equal(hashesOf([second, first]));
+      });
+    });
+
+    it('adds back the transactions of disconnected blocks', function() {
+      var other = new Blockchain();
+      other.proposeNewBlock(Block.genesis);
+      other.proposeNewBlock(A);
+      var E1;
+      return mineBlock(blockchain, [first]).then(function(D) {
+        return blockchain.proposeNewBlock(D);
+      }).then(function() {
+        return mineBlock(other, [], 0xffffffff);
+      }).then(function(mined) {
+        E1 = mined;
+        other.proposeNewBlock(E1);
+        return mineBlock(other, []);
+      }).then(function(E2) {
+        blockchain.proposeNewBlock(E1);
+        return blockchain.proposeNewBlock(E2);
+      }).then(function(result) {
+        result.unconfirmed.length.should.equal(1);
+        hashesOf(mempool.getTransactions()).should.deep.equal(hashesOf([first, second]));
+        evicted.should.deep.equal([]);
+      });
+    });
+
+    it('evicts the transactions that are not valid after a reorganization', function() {
+      var other = new Blockchain();
+      other.proposeNewBlock(Block.genesis);
+      other.proposeNewBlock(A);
+      var B, E1, pending;
+      return mineBlock(blockchain, []).then(function(mined) {
+        B = mined;
+        return blockchain.proposeNewBlock(B);
+      }).then(function() {
+        pending = transfer(B.transactions[0], privKey, otherKey);
+        mempool.add(pending);
+        return mineBlock(other, [], 0xffffffff);
+      }).then(function(mined) {
+        E1 = mined;
+        other.proposeNewBlock(E1);
+        return mineBlock(other, []);
+      }).then(function(E2) {
+        blockchain.proposeNewBlock(E1);
+        return blockchain.proposeNewBlock(E2);
+      }).then(function() {
+        hashesOf(mempool.getTransactions()).should.deep.equal(hashesOf([first, second]));
+        hashesOf(evicted).should.deep.equal(hashesOf([pending]));
+      });
+    });
+
+    it('stops following the blockchain when closed', function() {
+      mempool.close();
+      return mineBlock(blockchain, [first]).then(function(block) {
+        return blockchain.proposeNewBlock(block);
+      }).then(function() {
+        hashesOf(mempool.getTransactions()).should.deep.equal(hashesOf([first, second]));
+      });
+    });
+  });
+
+  it('keeps the methods of an event emitter', function() {
+    var listener = function() {};
+    mempool.on('transaction', listener);
+    mempool.listeners('transaction').should.deep.equal([listener]);
+  });
+
+});
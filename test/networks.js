@@ -69,7 +69,7 @@ describe('Networks', function() {
     networks.remove(custom);
   });
 
-  var constants = ['name', 'alias', 'pubkeyhash', 'scripthash', 'xpubkey', 'xprivkey'];
+  var constants = ['name', 'alias', 'pubkeyhash', 'scripthash', 'xpubkey', 'xprivkey', 'targetSpacing', 'retargetWindow'];
 
   constants.forEach(function(key){
     it('should have constant '+key+' for livenet and testnet', function(){
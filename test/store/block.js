@@ -0,0 +1,86 @@
+'use strict';
+/* jshint unused: false */
+
+var should = require('chai').should();
+
+var bitcore = require('../..');
+var Block = bitcore.Block;
+var BlockStore = bitcore.store.BlockStore;
+var MemoryStorage = bitcore.store.MemoryStorage;
+
+describe('BlockStore', function() {
+
+  var storage, store;
+  beforeEach(function() {
+    storage = new MemoryStorage();
+    store = new BlockStore(storage);
+  });
+
+  it('stores blocks serialized', function() {
+    return store.set(Block.genesis).then(function() {
+      storage.get(Block.genesis.hash).toString('hex').should.equal(Block.genesis.toBuffer().toString('hex'));
+      return store.get(Block.genesis.hash);
+    }).then(function(block) {
+      block.hash.should.equal(Block.genesis.hash);
+      return store.has(Block.genesis.hash);
+    }).then(function(has) {
+      has.should.equal(true);
+      return store.getAll();
+    }).then(function(blocks) {
+      blocks.length.should.equal(1);
+    });
+  });
+
+  it('does not write a block twice', function() {
+    return store.set(Block.genesis).then(function() {
+      storage.set = function() {
+        throw new Error('unexpected write');
+      };
+      return store.set(Block.genesis);
+    });
+  });
+
+  it('returns undefined for unknown blocks', function() {
+    return store.get(Block.genesis.hash).then(function(block) {
+      should.not.exist(block);
+    });
+  });
+
+  it('deletes blocks', function() {
+    return store.set(Block.genesis).then(function() {
+      return store.delete(Block.genesis.hash);
+    }).then(function() {
+      return store.has(Block.genesis.hash);
+    }).then(function(has) {
+      has.should.equal(false);
+    });
+  });
+
+  it('applies a batch of changes in order', function() {
+    return store.batch([{
+      type: 'set',
+      value: Block.genesis
+    }, {
+      type: 'delete',
+      key: Block.genesis.hash
+    }]).then(function() {
+      storage.keys().should.deep.equal([]);
+    });
+  });
+
+  it('passes batches to storage adapters that support them', function() {
+    var batches = [];
+    storage.batch = function(operations) {
+      batches.push(operations);
+    };
+    return store.batch([{
+      type: 'set',
+      value: Block.genesis
+    }]).then(function() {
+      batches.length.should.equal(1);
+      batches[0][0].key.should.equal(Block.genesis.hash);
+      batches[0][0].value.toString('hex').should.equal(Block.genesis.toBuffer().toString('hex'));
+    });
+  });
+
+});
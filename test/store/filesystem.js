@@ -0,0 +1,125 @@
+'use strict';
+/* jshint unused: false */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var bitcore = require('../..');
+var FilesystemStorage = bitcore.store.FilesystemStorage;
+var errors = bitcore.errors;
+
+var removeDirectory = function(dir) {
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+  fs.readdirSync(dir).forEach(function(name) {
+    var file = path.join(dir, name);
+    if (fs.statSync(file).isDirectory()) {
+      removeDirectory(file);
+    } else {
+      fs.unlinkSync(file);
+    }
+  });
+  fs.rmdirSync(dir);
+};
+
+describe('FilesystemStorage', function() {
+
+  var dir = path.join(os.tmpdir(), 'decentraland-storage-' + process.pid);
+  var storage;
+
+  beforeEach(function() {
+    removeDirectory(dir);
+    storage = new FilesystemStorage(dir);
+  });
+
+  afterEach(function() {
+    storage.close();
+    removeDirectory(dir);
+  });
+
+  var reopen = function(opts) {
+    storage.close();
+    storage = new FilesystemStorage(dir, opts);
+  };
+
+  it('creates the directory', function() {
+    fs.existsSync(dir).should.equal(true);
+  });
+
+  it('returns the value that was set', function() {
+    storage.set('a', new Buffer('0102', 'hex'));
+    storage.has('a').should.equal(true);
+    storage.get('a').toString('hex').should.equal('0102');
+    should.not.exist(storage.get('b'));
+  });
+
+  it('keeps the values after it is reopened', function() {
+    storage.set('b', new Buffer('0102', 'hex'));
+    storage.set('a', new Buffer('03', 'hex'));
+    reopen();
+    storage.keys().should.deep.equal(['b', 'a']);
+    storage.get('b').toString('hex').should.equal('0102');
+    storage.get('a').toString('hex').should.equal('03');
+  });
+
+  it('keeps deletions after it is reopened', function() {
+    storage.set('a', new Buffer('01', 'hex'));
+    storage.set('b', new Buffer('02', 'hex'));
+    storage.delete('a');
+    reopen();
+    storage.has('a').should.equal(false);
+    storage.keys().should.deep.equal(['b']);
+  });
+
+  it('returns the latest value of a key', function() {
+    storage.set('a', new Buffer('01', 'hex'));
+    storage.set('a', new Buffer('02', 'hex'));
+    reopen();
+    storage.get('a').toString('hex').should.equal('02');
+  });
+
+  it('only appends to the data files', function() {
+    storage.set('a', new Buffer('0102', 'hex'));
+    storage.set('a', new Buffer('03', 'hex'));
+    storage.delete('a');
+    fs.readFileSync(path.join(dir, 'blk00000.dat')).toString('hex').should.equal('010203');
+  });
+
+  it('starts a new data file when the current one is full', function() {
+    reopen({maxFileSize: 2});
+    storage.set('a', new Buffer('0102', 'hex'));
+    storage.set('b', new Buffer('03', 'hex'));
+    reopen({maxFileSize: 2});
+    storage.set('c', new Buffer('04', 'hex'));
+    fs.readFileSync(path.join(dir, 'blk00000.dat')).toString('hex').should.equal('0102');
+    fs.readFileSync(path.join(dir, 'blk00001.dat')).toString('hex').should.equal('0304');
+    storage.get('a').toString('hex').should.equal('0102');
+    storage.get('b').toString('hex').should.equal('03');
+    storage.get('c').toString('hex').should.equal('04');
+  });
+
+  it('discards a partially written index record', function() {
+    storage.set('a', new Buffer('01', 'hex'));
+    storage.close();
+    var index = path.join(dir, FilesystemStorage.INDEX_FILE);
+    var size = fs.statSync(index).size;
+    fs.appendFileSync(index, new Buffer('0a000000', 'hex'));
+    storage = new FilesystemStorage(dir);
+    storage.keys().should.deep.equal(['a']);
+    fs.statSync(index).size.should.equal(size);
+  });
+
+  it('fails on an unknown index record', function() {
+    storage.close();
+    fs.appendFileSync(path.join(dir, FilesystemStorage.INDEX_FILE), new Buffer('020000000701', 'hex'));
+    expect(function() {
+      storage = new FilesystemStorage(dir);
+    }).to.throw(errors.Storage.Corrupted);
+  });
+
+});
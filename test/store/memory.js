@@ -0,0 +1,47 @@
+'use strict';
+/* jshint unused: false */
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var bitcore = require('../..');
+var MemoryStorage = bitcore.store.MemoryStorage;
+
+describe('MemoryStorage', function() {
+
+  it('returns the value that was set', function() {
+    var storage = new MemoryStorage();
+    storage.set('a', new Buffer('0102', 'hex'));
+    storage.has('a').should.equal(true);
+    storage.get('a').toString('hex').should.equal('0102');
+  });
+
+  it('returns undefined for unknown keys', function() {
+    var storage = new MemoryStorage();
+    storage.has('a').should.equal(false);
+    should.not.exist(storage.get('a'));
+  });
+
+  it('deletes values', function() {
+    var storage = new MemoryStorage();
+    storage.set('a', new Buffer('01', 'hex'));
+    storage.delete('a');
+    storage.has('a').should.equal(false);
+    storage.keys().should.deep.equal([]);
+  });
+
+  it('lists the keys in the order they were set', function() {
+    var storage = new MemoryStorage();
+    storage.set('b', new Buffer('01', 'hex'));
+    storage.set('a', new Buffer('02', 'hex'));
+    storage.keys().should.deep.equal(['b', 'a']);
+  });
+
+  it('only stores buffers', function() {
+    var storage = new MemoryStorage();
+    expect(function() {
+      storage.set('a', '01');
+    }).to.throw('value must be a buffer');
+  });
+
+});
@@ -191,6 +191,22 @@ describe('Transaction', function() {
     transaction.inspect().should.equal('<Transaction: ' + testTransaction.uncheckedSerialize() + '>');
   });
 
+  describe('isCoinbase', function() {
+    var coinbase = new Transaction()
+      .at(2, 3)
+      .to(testOwner);
+
+    it('identifies a coinbase', function() {
+      coinbase.isCoinbase().should.equal(true);
+      testTransaction.isCoinbase().should.equal(false);
+    });
+
+    it('identifies a deserialized coinbase', function() {
+      new Transaction(coinbase.toString()).isCoinbase().should.equal(true);
+      new Transaction(coinbase.toObject()).isCoinbase().should.equal(true);
+    });
+  });
+
   describe('to and from JSON', function() {
     it('takes a string that is a valid JSON and deserializes from it', function() {
       var simple = new Transaction(testTransaction);
@@ -0,0 +1,57 @@
+'use strict';
+/* jshint unused: false */
+
+var should = require('chai').should();
+var expect = require('chai').expect;
+
+var bitcore = require('../..');
+var Clock = bitcore.util.clock;
+
+describe('clock', function() {
+
+  describe('system', function() {
+
+    it('returns the current time in seconds', function() {
+      var now = Math.floor(new Date().getTime() / 1000);
+      Clock.system().should.be.within(now, now + 1);
+    });
+
+  });
+
+  describe('fixed', function() {
+
+    it('always returns the same time', function() {
+      var clock = Clock.fixed(1433037823);
+      clock().should.equal(1433037823);
+      clock().should.equal(1433037823);
+    });
+
+    it('requires a number', function() {
+      expect(function() {
+        return Clock.fixed('now');
+      }).to.throw('time must be a number');
+    });
+
+  });
+
+  describe('adjusted', function() {
+
+    it('adds an offset to another clock', function() {
+      var clock = Clock.adjusted(Clock.fixed(1000), 30);
+      clock().should.equal(1030);
+    });
+
+    it('defaults to no offset', function() {
+      var clock = Clock.adjusted(Clock.fixed(1000));
+      clock().should.equal(1000);
+    });
+
+    it('can change its offset', function() {
+      var clock = Clock.adjusted(Clock.fixed(1000), 30);
+      clock.setOffset(-70);
+      clock().should.equal(930);
+    });
+
+  });
+
+});